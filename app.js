@@ -1,10 +1,33 @@
 // ============================================================
 // SlicePad – 16-Pad Audio Sampler with Sequencer (app.js)
 // Wavesurfer.js v7 (ES module) + Web Audio API
-// Features: 16-pad sampler, mute-group, 4-bar loop recorder,
+// Features: 16-pad sampler, choke groups, loop recorder,
 //           quantize (1/32), MPC-style swing, visual metronome,
 //           note repeat (Shift = momentary),
-//           4-track TR-style step sequencer with drum synthesis.
+//           4–10 track TR-style step sequencer with drum synthesis,
+//           project save/load (IndexedDB slots + file export),
+//           offline WAV bounce with optional stems,
+//           Web MIDI pads / note repeat / transport,
+//           MIDI clock out + external clock sync,
+//           velocity-sensitive pads (pressure / position / MIDI),
+//           polyphonic pads with choke groups,
+//           per-pad tune / level / pan / reverse / envelope / gate,
+//           undo / redo history, pattern memories and song mode,
+//           drum track mixer (level / tune / pan / mute / solo),
+//           per-track step length and rate (polymeter),
+//           drum step accent / probability / ratchet / nudge,
+//           editable drum synth banks with user banks (export / import),
+//           4–10 drum tracks: clap, rimshot, toms, open hat (choked by the closed hat),
+//           any drum track can trigger a sample slice instead of its synth voice,
+//           warp mode (slices time-stretched to the tempo, pitch without length change),
+//           tap tempo, tempo detection of the loaded sample, selectable BPM range,
+//           MPC60 / SP-1200 converter emulation (AudioWorklet on the master bus),
+//           tempo-synced delay and reverb sends per pad and drum track,
+//           MPC-style event list (step edit) for the recorded pad events,
+//           unquantized recording with quantize strength / window and APPLY,
+//           loops of 1 / 2 / 4 / 8 bars in 4/4, 3/4, 5/4 or 7/8,
+//           resampling of the mix back into the sampler (with a second sample slot),
+//           live input sampling (threshold arm, pre-roll, N bars at the tempo).
 // Visual: MPC 60 vintage aesthetic with dot-matrix LCD.
 // ============================================================
 
@@ -16,18 +39,41 @@ import RegionsPlugin from "https://unpkg.com/wavesurfer.js@7/dist/plugins/region
 // ============================================================
 
 const NUM_PADS = 16;
-const BARS = 4;
-const BEATS_PER_BAR = 4;
-const THIRTYSECONDS_PER_BEAT = 8;    // 1/32-note resolution per beat
+const THIRTYSECONDS_PER_BEAT = 8;    // 1/32-note resolution per quarter note (BPM counts quarters)
 const SIXTEENTHS_PER_BEAT = 4;       // Used for swing grouping (16th-note level)
 const STEPS_PER_SIXTEENTH = 2;       // Two 32nds make one 16th
-const TOTAL_STEPS = BARS * BEATS_PER_BAR * THIRTYSECONDS_PER_BEAT; // 128
 
-// TR Step Sequencer constants
-const DRUM_TRACKS = 4;
-const SEQ_STEPS = 16;
-const TRACK_NAMES = ["KCK", "SNR", "HHT", "CYM"];
-const BANK_NAMES = ["A", "B", "C", "D"];
+// Loop lengths in bars and time signatures (LOOP page); `unit` is the
+// note value of one beat, so 7/8 counts (and clicks) seven eighths
+const LOOP_BAR_OPTIONS = [1, 2, 4, 8];
+const TIME_SIGNATURES = [
+  { label: "4/4", beats: 4, unit: 4 },
+  { label: "3/4", beats: 3, unit: 4 },
+  { label: "5/4", beats: 5, unit: 4 },
+  { label: "7/8", beats: 7, unit: 8 },
+];
+// Sequence slots: the longest loop (8 bars of 5/4 = 320 1/32 steps)
+const TOTAL_STEPS = Math.max(...LOOP_BAR_OPTIONS) *
+  Math.max(...TIME_SIGNATURES.map((ts) => (ts.beats * THIRTYSECONDS_PER_BEAT * 4) / ts.unit));
+
+// Selectable tempo ranges (TEMPO page); the classic 60–90 stays available
+const BPM_RANGES = [
+  { name: "60-90", min: 60, max: 90 },
+  { name: "40-200", min: 40, max: 200 },
+  { name: "20-300", min: 20, max: 300 },
+];
+const DEFAULT_BPM_RANGE = 1;
+
+// TR Step Sequencer constants — one track per synth voice; the first
+// drumTrackCount tracks are shown and played (see setDrumTrackCount)
+const DRUM_VOICES = ["kick", "snare", "hihat", "cymbal", "openhat", "clap", "rimshot", "tomLow", "tomMid", "tomHigh"];
+const DRUM_TRACKS = DRUM_VOICES.length;
+const MIN_DRUM_TRACKS = 4;
+const SEQ_STEPS = 16;                 // Step buttons per row (one grid page)
+const MAX_TRACK_STEPS = 32;           // Longest drum track (two grid pages)
+const DRUM_RATES = { "1/8": 4, "1/16": 2, "1/16T": 4 / 3, "1/32": 1 }; // Step length in 1/32 ticks
+const DRUM_RATE_NAMES = Object.keys(DRUM_RATES);
+const TRACK_NAMES = ["KCK", "SNR", "HHT", "CYM", "OHH", "CLP", "RIM", "LT", "MT", "HT"];
 
 // Per-pad region colours – pixel-green shades for the LCD display
 const PAD_COLORS = [
@@ -51,8 +97,10 @@ const PAD_COLORS = [
 
 // ============================================================
 // DRUM BANK DEFINITIONS
-// Four internal banks (A–D) with different synthesis parameters
-// for each of the four drum voices.
+// Four factory banks (A–D) with different synthesis parameters
+// for each of the drum voices (see DRUM_VOICES).  These are the templates;
+// the banks actually played live in `drumBanks` (see DRUM
+// BANK EDITOR) and can be edited and saved as user banks.
 // ============================================================
 
 const DRUM_BANKS = [
@@ -62,6 +110,12 @@ const DRUM_BANKS = [
     snare: { toneFreq: 180, noiseDecay: 0.15, filterFreq: 3000, tone: 0.5 },
     hihat: { filterFreq: 8000, decay: 0.05, q: 1 },
     cymbal: { filterFreq: 5000, decay: 0.4, q: 1 },
+    openhat: { filterFreq: 8000, decay: 0.35, q: 1 },
+    clap: { filterFreq: 1200, decay: 0.18, spread: 0.011 },
+    rimshot: { freq: 1700, decay: 0.04, tone: 0.5 },
+    tomLow: { freq: 90, decay: 0.45, tone: 0.8 },
+    tomMid: { freq: 130, decay: 0.4, tone: 0.8 },
+    tomHigh: { freq: 180, decay: 0.35, tone: 0.8 },
   },
   {
     name: "B",
@@ -69,6 +123,12 @@ const DRUM_BANKS = [
     snare: { toneFreq: 200, noiseDecay: 0.2, filterFreq: 4000, tone: 0.6 },
     hihat: { filterFreq: 9000, decay: 0.04, q: 1.5 },
     cymbal: { filterFreq: 6000, decay: 0.5, q: 1.5 },
+    openhat: { filterFreq: 9000, decay: 0.45, q: 1.5 },
+    clap: { filterFreq: 1500, decay: 0.25, spread: 0.013 },
+    rimshot: { freq: 1900, decay: 0.05, tone: 0.6 },
+    tomLow: { freq: 100, decay: 0.55, tone: 0.9 },
+    tomMid: { freq: 145, decay: 0.5, tone: 0.9 },
+    tomHigh: { freq: 200, decay: 0.45, tone: 0.9 },
   },
   {
     name: "C",
@@ -76,6 +136,12 @@ const DRUM_BANKS = [
     snare: { toneFreq: 160, noiseDecay: 0.12, filterFreq: 2500, tone: 0.4 },
     hihat: { filterFreq: 10000, decay: 0.03, q: 2 },
     cymbal: { filterFreq: 7000, decay: 0.35, q: 0.8 },
+    openhat: { filterFreq: 10000, decay: 0.3, q: 2 },
+    clap: { filterFreq: 1000, decay: 0.15, spread: 0.009 },
+    rimshot: { freq: 1500, decay: 0.03, tone: 0.4 },
+    tomLow: { freq: 80, decay: 0.35, tone: 0.7 },
+    tomMid: { freq: 115, decay: 0.3, tone: 0.7 },
+    tomHigh: { freq: 160, decay: 0.25, tone: 0.7 },
   },
   {
     name: "D",
@@ -83,6 +149,12 @@ const DRUM_BANKS = [
     snare: { toneFreq: 220, noiseDecay: 0.25, filterFreq: 3500, tone: 0.7 },
     hihat: { filterFreq: 7000, decay: 0.06, q: 0.8 },
     cymbal: { filterFreq: 4500, decay: 0.6, q: 1.2 },
+    openhat: { filterFreq: 7000, decay: 0.5, q: 0.8 },
+    clap: { filterFreq: 1800, decay: 0.3, spread: 0.015 },
+    rimshot: { freq: 2100, decay: 0.06, tone: 0.7 },
+    tomLow: { freq: 110, decay: 0.6, tone: 1.0 },
+    tomMid: { freq: 160, decay: 0.55, tone: 1.0 },
+    tomHigh: { freq: 220, decay: 0.5, tone: 1.0 },
   },
 ];
 
@@ -94,6 +166,7 @@ const DRUM_BANKS = [
 const loadBtn = document.getElementById("load-btn");
 const fileInput = document.getElementById("file-input");
 const fileNameEl = document.getElementById("file-name");
+const fileTempoEl = document.getElementById("file-tempo");
 const dropZone = document.getElementById("drop-zone");
 
 // LCD BPM display
@@ -116,6 +189,7 @@ const padGrid = document.getElementById("pad-grid");
 const bpmInput = document.getElementById("bpm-input");
 const bpmDecBtn = document.getElementById("bpm-dec");
 const bpmIncBtn = document.getElementById("bpm-inc");
+const tapBtn = document.getElementById("tap-btn");
 const metroBtn = document.getElementById("metro-btn");
 const metronomeLed = document.getElementById("metronome-led");
 const quantizeSwitch = document.getElementById("quantize-switch");
@@ -148,6 +222,23 @@ const bankValueEl = document.getElementById("bank-value");
 const sliceModeSwitch = document.getElementById("slice-mode-switch");
 const sliceModeLabels = sliceModeSwitch.querySelectorAll(".slice-mode-label");
 
+// LCD page selector + edit page panel
+const pageDecBtn = document.getElementById("page-dec");
+const pageIncBtn = document.getElementById("page-inc");
+const pageValueEl = document.getElementById("page-value");
+const lcdPageEl = document.getElementById("lcd-page");
+
+// Undo / redo (LCD page row)
+const undoBtn = document.getElementById("undo-btn");
+const redoBtn = document.getElementById("redo-btn");
+const undoStatusEl = document.getElementById("undo-status");
+
+// Project import (hidden file input behind the PROJECT page)
+const projectInput = document.getElementById("project-input");
+
+// Drum bank import (hidden file input behind the DRUM BANK page)
+const bankInput = document.getElementById("bank-input");
+
 // ============================================================
 // RESPONSIVE SCALING — Non-Destructive Mobile Support
 // Applies transform: scale() to the #scale-wrapper when
@@ -185,35 +276,60 @@ window.addEventListener('resize', applyResponsiveScale);
 // Audio
 let audioCtx = null;
 let decodedBuffer = null;
-let currentSource = null;
-let currentGain = null;
-let activePadIndex = -1;
+let activeVoices = [];      // Sounding slices: { pad, source, gain, level }
 let semitones = 0;
 
 // Master output chain: MasterGainNode → DynamicsCompressorNode → destination
 let masterGainNode = null;
 let compressorNode = null;
+let converterNode = null;    // Converter emulation worklet (see CONVERTER EMULATION)
+let converterModel = "off";  // CONVERTER_MODELS id
+let fxBuses = null;          // Live delay / reverb send buses (see SEND EFFECTS)
 let bumpAmount = 24; // Compressor threshold = -(bumpAmount) dB; 0 = off, 60 = max
 
 // Metronome gain node: routed directly to destination (bypasses the compressor)
 let metronomeGainNode = null;
 
+// True while the sequencer is being rendered into an OfflineAudioContext (BOUNCE)
+let isBouncing = false;
+// True while a bounce with a tail schedules its last loop: no loop follows it
+let bounceFinalLoop = false;
+
 // Wavesurfer
 let wavesurfer = null;
 let wsRegions = null;
-let regions = []; // { id, start, end, wsRegion }
+let regions = []; // { id, start, end, wsRegion, params } — params: see createPadParams()
+let reversedBuffer = null;      // Slice buffer played backwards (built on first REVERSE hit)
+let sampleFile = null;          // Blob of the loaded sample (stored with projects)
+let sliceDetectMode = "equal";  // "equal" = 16 equal chops, "transient" = onset detection, "tempo" = beat grid
+let detectedTempo = null;       // Tempo estimated from decodedBuffer on load, BPM (null = none)
+let sliceSensitivity = 5;       // Onset detection sensitivity, 1 (fewest) – 10 (most)
+let pendingSliceBounds = null;  // Region bounds to restore on next decode (project load)
+
+// Warp (see WARP / TIME-STRETCH)
+let warpEnabled = false;        // Slices follow the tempo instead of playing at their own speed
+let sampleTempo = 70;           // Original tempo of the loaded sample, BPM
+let warpedBuffer = null;        // decodedBuffer time-stretched for the current tempo / pitch
+let warpedStretch = 1;          // Stretch factor warpedBuffer was built with (1 = unwarped)
+let warpTimerID = null;         // Pending re-stretch after a tempo / pitch change
+let warpedSource = null;        // decodedBuffer that warpedBuffer was stretched from
+let warpJob = null;             // { stretch } of the stretch in progress (null = idle)
 
 // Sequencer
 let bpm = 70;
+let bpmRange = DEFAULT_BPM_RANGE;  // Index into BPM_RANGES
 let isPlaying = false;
 let isRecording = false;
 let quantizeRes = 32; // Quantize resolution: 32 = 1/32, 16 = 1/16
+let quantizeEnabled = true;  // Recorded hits play on the grid; off = as played (see QUANTIZE)
+let quantizeStrength = 100;  // % of the way a hit is pulled to its grid line
+let quantizeWindow = 100;    // % of half a grid step around a line whose hits are pulled
 let swingPercent = 50; // 50 = no swing, up to 75
 
 // Metronome click (audio tick on every beat during playback / recording)
 let metronomeEnabled = false;
 
-// Count-in (4-beat pre-roll before recording)
+// Count-in (one-bar pre-roll before recording)
 let isCountingIn = false;
 let countInStep = 0;                 // 0-3 (four beats)
 let countInNextTime = 0.0;
@@ -223,9 +339,23 @@ let countInTimerID = null;
 let shiftHeld = false;
 const mousePressedPads = new Set();  // Pads held via mouse / touch
 const keyPressedPads = new Set();    // Pads held via keyboard
+const midiPressedPads = new Set();   // Pads held via MIDI note-on
+let midiRepeatHeld = false;          // Note Repeat held via MIDI sustain / CC
+
+// Sequence buffer: TOTAL_STEPS slots (one per 32nd note of the longest loop),
+// each an array of events { pad: sliceId (0-15), vel: velocity (1-127),
+// offset?: raw timing (see QUANTIZE) } — empty = rest
+let sequence = createEmptySequence();
 
-// Sequence buffer: 128 slots (one per 32nd note across 4 bars), each null or a sliceId (0-15)
-let sequence = new Array(TOTAL_STEPS).fill(null);
+// Choke groups: 0 = none (fully polyphonic), 1-8 = pads in the same group cut each other
+const CHOKE_GROUPS = 8;
+let padChokeGroup = new Array(NUM_PADS).fill(0);
+const MAX_VOICES = 32;     // Oldest voice is stolen beyond this
+
+// Velocity: FULL LEVEL forces every hit to 127 (MPC-style)
+const MAX_VELOCITY = 127;
+let fullLevel = false;
+const padHeldVelocity = new Array(NUM_PADS).fill(MAX_VELOCITY); // last velocity per pad (Note Repeat)
 
 // Look-ahead scheduler state
 const lookahead = 25.0;           // ms – scheduler call interval
@@ -241,17 +371,329 @@ let animFrameID = null;
 // Tick elements (for grid flash)
 let tickElements = [];
 
-// Slice-mode: 16 = half-loop (2 bars), 32 = full loop (4 bars)
-let sliceMode = 32;
+// Loop length of the live pattern (see LOOP LENGTH / TIME SIGNATURE)
+let loopBars = 2;
+let timeSignature = 0;           // Index into TIME_SIGNATURES
 
 // Step Sequencer / Drum Machine
 let seqMode = false;
-let drumPattern = Array.from({ length: DRUM_TRACKS }, () => new Array(SEQ_STEPS).fill(false));
-let drumTrackVol = [80, 80, 80, 80];
-let drumTrackPitch = [0, 0, 0, 0];
+let drumPattern = createDrumGrid();   // [track][step] = null (off) or a step, see createDrumStep()
+let drumMix = createDrumMix();   // Per-track mixer of the live pattern (see DRUM MIXER)
+let trackSteps = new Array(DRUM_TRACKS).fill(SEQ_STEPS);  // Length of each drum track, 1 – MAX_TRACK_STEPS
+let trackRate = new Array(DRUM_TRACKS).fill("1/16");      // Key of DRUM_RATES per drum track
+let trackSlice = new Array(DRUM_TRACKS).fill(null);       // Sound source: null = synth voice, else a pad / slice index
+let drumTickCount = 0;           // 1/32 ticks since playback (or the pattern) started — clock of the free-running tracks
+let leadInScheduled = false;     // Early hits / loop-track nudges of the loop's first steps were scheduled by the loop before
+let seqStepPage = 0;             // Grid page on screen: 0 = steps 1–16, 1 = steps 17–32
+const seqPlayheadSteps = new Array(DRUM_TRACKS).fill(-1);  // Current step per track (-1 = stopped)
 let currentDrumBank = 0;
 let noiseBuffer = null;
-let drumGainNodes = [null, null, null, null];
+let drumTrackCount = MIN_DRUM_TRACKS;   // Tracks shown and played, MIN_DRUM_TRACKS – DRUM_TRACKS
+let drumGainNodes = new Array(DRUM_TRACKS).fill(null);
+let drumPanNodes = new Array(DRUM_TRACKS).fill(null);
+let drumSendNodes = new Array(DRUM_TRACKS).fill(null);  // { delay, reverb } post-fader send gains
+let openHatVoices = [];          // Sounding open hats: { source, gain, level, start, end } (choke)
+
+// ---- Pattern Memories / Song Mode (see PATTERNS / SONG MODE) ----
+// `sequence`, `drumPattern`, `drumMix`, `trackSteps`, `trackRate`, `trackSlice`,
+// `loopBars` and `timeSignature` always belong to patterns[currentPattern].
+const PATTERN_SLOTS = 8;
+let patterns = Array.from({ length: PATTERN_SLOTS }, (_, i) =>
+  (i === 0 ? { sequence, drumPattern, drumMix, trackSteps, trackRate, trackSlice, loopBars, timeSignature } : createPattern()));
+let currentPattern = 0;
+let queuedPattern = null;        // Pattern to switch to at the next loop boundary
+let endingLoop = null;           // { pattern, steps } still sounding after a switch, until loopStartTime
+let songMode = false;
+let songChain = [{ pattern: 0, repeats: 1 }];   // Ordered { pattern, repeats } entries
+let songPosition = 0;            // Index into songChain
+let songLoopsPlayed = 0;         // Loops played of the current chain entry
+
+// ============================================================
+// LCD PAGES — Menu-driven edit screens inside the LCD
+// MAIN is the waveform itself.  Features register extra pages
+// with registerLcdPage(); the < / > selector cycles through
+// them and the active page redraws its rows into #lcd-page.
+// ============================================================
+
+const lcdPages = [{ id: "main", title: "MAIN", render: null }];
+let lcdPageIndex = 0;
+
+// @param {string}   id     – unique page id (used by openLcdPage / refreshLcdPage)
+// @param {string}   title  – name shown in the page selector and heading
+// @param {function} render – (container) => void, builds the page rows
+function registerLcdPage(id, title, render) {
+  lcdPages.push({ id, title, render });
+}
+
+function showLcdPage(index) {
+  lcdPageIndex = ((index % lcdPages.length) + lcdPages.length) % lcdPages.length;
+  const page = lcdPages[lcdPageIndex];
+  pageValueEl.textContent = "PAGE: " + page.title;
+  lcdPageEl.style.display = page.render ? "" : "none";
+  renderLcdPage();
+  syncStepSequencer();   // The step-edit cursor is only drawn while DRUM STEP is open
+}
+
+function openLcdPage(id) {
+  const idx = lcdPages.findIndex((p) => p.id === id);
+  if (idx !== -1) showLcdPage(idx);
+}
+
+function renderLcdPage() {
+  const page = lcdPages[lcdPageIndex];
+  lcdPageEl.innerHTML = "";
+  if (!page.render) return;
+
+  const title = document.createElement("div");
+  title.className = "lcd-page-title";
+  title.textContent = page.title;
+  lcdPageEl.appendChild(title);
+
+  page.render(lcdPageEl);
+}
+
+function isLcdPageOpen(id) {
+  return lcdPages[lcdPageIndex].id === id;
+}
+
+// Redraw only if the given page is the one on screen
+function refreshLcdPage(id) {
+  if (isLcdPageOpen(id)) renderLcdPage();
+}
+
+// ---- Row builders shared by all pages ----
+
+function lcdRow(parent, label) {
+  const row = document.createElement("div");
+  row.className = "lcd-page-row";
+  if (label) {
+    const lbl = document.createElement("span");
+    lbl.className = "lcd-page-label";
+    lbl.textContent = label;
+    row.appendChild(lbl);
+  }
+  parent.appendChild(row);
+  return row;
+}
+
+function lcdButton(row, text, onClick, title) {
+  const btn = document.createElement("button");
+  btn.className = "lcd-btn";
+  btn.textContent = text;
+  if (title) btn.title = title;
+  btn.addEventListener("click", onClick);
+  row.appendChild(btn);
+  return btn;
+}
+
+function lcdText(row, text) {
+  const span = document.createElement("span");
+  span.className = "lcd-page-text";
+  span.textContent = text;
+  row.appendChild(span);
+  return span;
+}
+
+// [-] value [+] — the page is redrawn after each change
+function lcdStepper(row, text, onDec, onInc) {
+  const group = document.createElement("div");
+  group.className = "lcd-control-group";
+  const dec = document.createElement("button");
+  dec.className = "lcd-btn";
+  dec.textContent = "-";
+  const value = document.createElement("span");
+  value.className = "lcd-page-value";
+  value.textContent = text;
+  const inc = document.createElement("button");
+  inc.className = "lcd-btn";
+  inc.textContent = "+";
+  dec.addEventListener("click", () => { onDec(); renderLcdPage(); });
+  inc.addEventListener("click", () => { onInc(); renderLcdPage(); });
+  group.append(dec, value, inc);
+  row.appendChild(group);
+  return value;
+}
+
+pageDecBtn.addEventListener("click", () => showLcdPage(lcdPageIndex - 1));
+pageIncBtn.addEventListener("click", () => showLcdPage(lcdPageIndex + 1));
+
+// ============================================================
+// UNDO / REDO
+// Snapshot history: each entry holds the state of one area
+// (sequence, a drum step, slice bounds or the panel settings)
+// before and after a change, plus the function that restores
+// it.  A whole recording pass is one entry.  Quick repeated
+// nudges of the settings merge into a single entry.
+// Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl+Y = redo.
+// ============================================================
+
+const UNDO_LIMIT = 50;
+const UNDO_COALESCE_MS = 1000;
+const undoStack = [];
+const redoStack = [];
+let recordPassBefore = null;   // Sequence snapshot taken when REC engaged
+
+// @param {string}   label    – shown on the LCD (e.g. "CLR", "STEP")
+// @param {*}        before   – state before the change (plain data)
+// @param {*}        after    – state after the change
+// @param {function} restore  – (state) => void, puts a state back
+// @param {boolean|string} [coalesce] – merge with the previous entry if it is the same kind,
+//                                     has the same coalesce key (e.g. which pattern) and is recent
+function pushUndo(label, before, after, restore, coalesce) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  const now = Date.now();
+  const top = undoStack[undoStack.length - 1];
+  if (coalesce && top && top.label === label && top.restore === restore && top.key === coalesce &&
+      now - top.time < UNDO_COALESCE_MS) {
+    top.after = after;
+    top.time = now;
+  } else {
+    undoStack.push({ label, before, after, restore, key: coalesce, time: now });
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  }
+  redoStack.length = 0;
+  updateUndoStatus();
+}
+
+// Capture → mutate → capture, and push the difference
+function recordUndo(label, capture, restore, mutate, coalesce) {
+  const before = capture();
+  mutate();
+  pushUndo(label, before, capture(), restore, coalesce);
+}
+
+function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return;
+  entry.restore(entry.before);
+  redoStack.push(entry);
+  updateUndoStatus("UNDO " + entry.label);
+}
+
+function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return;
+  entry.restore(entry.after);
+  undoStack.push(entry);
+  updateUndoStatus("REDO " + entry.label);
+}
+
+function clearUndoHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  recordPassBefore = null;
+  updateUndoStatus();
+}
+
+function updateUndoStatus(lastAction) {
+  undoStatusEl.textContent = lastAction || ("UNDO " + undoStack.length + " | REDO " + redoStack.length);
+}
+
+// ---- Sequence snapshots (restored in place, into the pattern they came from) ----
+function captureSequence(pattern = currentPattern) {
+  return {
+    pattern,
+    slots: patterns[pattern].sequence.map((slot) => slot.map((ev) => Object.assign({}, ev))),
+  };
+}
+
+function restoreSequence(snapshot) {
+  patterns[snapshot.pattern].sequence.forEach((slot, i) => {
+    slot.length = 0;
+    (snapshot.slots[i] || []).forEach((ev) => slot.push(Object.assign({}, ev)));
+  });
+  renderEventMarkers();
+}
+
+// ---- Recording pass: one entry from REC on to REC off / STOP ----
+function beginRecordPass() {
+  recordPassBefore = captureSequence();
+}
+
+function endRecordPass() {
+  if (!recordPassBefore) return;
+  pushUndo("REC", recordPassBefore, captureSequence(), restoreSequence);
+  recordPassBefore = null;
+}
+
+// ---- Single drum step (null = off) ----
+function captureDrumStep(tr, s) {
+  const step = drumPattern[tr][s];
+  return { pattern: currentPattern, tr, s, step: step && Object.assign({}, step) };
+}
+
+function restoreDrumStep(state) {
+  patterns[state.pattern].drumPattern[state.tr][state.s] = state.step && Object.assign({}, state.step);
+  syncStepSequencer();
+  refreshLcdPage("step");
+}
+
+// ---- Slice boundaries (pad sound params stay untouched) ----
+function captureSliceBounds() {
+  return regions.map((r) => ({ start: r.start, end: r.end }));
+}
+
+function restoreSliceBounds(bounds) {
+  bounds.forEach((b, i) => {
+    const r = regions[i];
+    if (!r) return;
+    r.start = b.start;
+    r.end = b.end;
+    if (r.wsRegion) r.wsRegion.setOptions({ start: b.start, end: b.end });
+  });
+}
+
+// ---- Panel settings (tempo, groove, quantize, bank, pitch, bump, track count, warp, converter) ----
+function captureSettings() {
+  return {
+    bpm, bpmRange, swingPercent, quantizeRes, quantizeEnabled, quantizeStrength, quantizeWindow,
+    currentDrumBank, semitones, bumpAmount, drumTrackCount, warpEnabled, sampleTempo, converterModel,
+  };
+}
+
+function restoreSettings(st) {
+  setBpmRange(st.bpmRange);
+  setBpm(st.bpm);
+  setSwingPosition(SWING_VALUES.indexOf(st.swingPercent));
+  setQuantizePosition(QUANTIZE_VALUES.indexOf(st.quantizeRes));
+  setQuantizeFeel(st.quantizeEnabled, st.quantizeStrength, st.quantizeWindow);
+  setDrumBank(st.currentDrumBank);
+  setDrumTrackCount(st.drumTrackCount);
+  updatePitch(st.semitones);
+  updateBump(st.bumpAmount);
+  setConverterModel(st.converterModel);
+  if (st.warpEnabled !== warpEnabled || st.sampleTempo !== sampleTempo) {
+    warpEnabled = st.warpEnabled;
+    sampleTempo = st.sampleTempo;
+    updateWarp();
+  }
+}
+
+// Wrap a settings change from the panel so it can be undone
+function changeSetting(label, mutate) {
+  recordUndo(label, captureSettings, restoreSettings, mutate, true);
+}
+
+// ---- Loop length and time signature (belong to the pattern they were set on) ----
+function captureLoopLength() {
+  return { pattern: currentPattern, bars: loopBars, signature: timeSignature };
+}
+
+function restoreLoopLength(state) {
+  if (state.pattern === currentPattern) {
+    setLoopLength(state.bars, state.signature);
+  } else {
+    patterns[state.pattern].loopBars = state.bars;
+    patterns[state.pattern].timeSignature = state.signature;
+  }
+}
+
+function changeLoopLength(bars, signature = timeSignature) {
+  recordUndo("LOOP", captureLoopLength, restoreLoopLength, () => setLoopLength(bars, signature));
+}
+
+undoBtn.addEventListener("click", () => undo());
+redoBtn.addEventListener("click", () => redo());
 
 // ============================================================
 // BUILD 16-PAD GRID
@@ -264,33 +706,66 @@ for (let i = 0; i < NUM_PADS; i++) {
   pad.dataset.index = i;
   pad.innerHTML = `<span class="pad-number">${i + 1}</span>`;
 
-  // Mouse events: trigger + track press state for Note Repeat
-  pad.addEventListener("mousedown", () => {
-    triggerPad(i);
+  // Mouse / pen: trigger + track press state for Note Repeat.
+  // Pointer events (not mousedown) so pen pressure reaches the velocity.
+  pad.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "touch") return; // handled by touchstart below
+    const vel = e.pointerType === "pen" && e.pressure > 0
+      ? velocityFromPressure(e.pressure)
+      : velocityFromPosition(pad, e.clientY);
+    triggerPad(i, vel);
     mousePressedPads.add(i);
   });
-  pad.addEventListener("mouseup", () => mousePressedPads.delete(i));
-  pad.addEventListener("mouseleave", () => mousePressedPads.delete(i));
+  pad.addEventListener("mouseup", () => {
+    mousePressedPads.delete(i);
+    releasePad(i);
+  });
+  pad.addEventListener("mouseleave", () => {
+    if (mousePressedPads.delete(i)) releasePad(i);
+  });
 
   // Touch events: trigger + track press state for Note Repeat
   pad.addEventListener("touchstart", (e) => {
     e.preventDefault();
-    triggerPad(i);
+    const touch = e.changedTouches[0];
+    const vel = touch && touch.force > 0
+      ? velocityFromPressure(touch.force)
+      : velocityFromPosition(pad, touch ? touch.clientY : 0);
+    triggerPad(i, vel);
     mousePressedPads.add(i);
   });
   pad.addEventListener("touchend", (e) => {
     e.preventDefault();
     mousePressedPads.delete(i);
+    releasePad(i);
+  });
+  pad.addEventListener("touchcancel", () => {
+    mousePressedPads.delete(i);
+    releasePad(i);
   });
-  pad.addEventListener("touchcancel", () => mousePressedPads.delete(i));
 
   padGrid.appendChild(pad);
   padElements.push(pad);
 }
 
+// ---- Velocity from pointer pressure (0–1) ----
+function velocityFromPressure(pressure) {
+  return Math.max(1, Math.min(MAX_VELOCITY, Math.round(pressure * MAX_VELOCITY)));
+}
+
+// ---- Velocity from where the pad was hit: top edge = 127, bottom edge = 16 ----
+function velocityFromPosition(pad, clientY) {
+  const rect = pad.getBoundingClientRect();
+  if (!rect.height) return MAX_VELOCITY;
+  const fromTop = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+  return Math.round(MAX_VELOCITY - fromTop * (MAX_VELOCITY - 16));
+}
+
 // ============================================================
 // BUILD STEP SEQUENCER DOM
-// 4 tracks × 16 steps per track.
+// One row per drum voice (rows past drumTrackCount hidden),
+// 16 step buttons per track.  Tracks longer than
+// 16 steps are edited on the second grid page (17–32).
 // ============================================================
 
 const seqStepElements = []; // [track][step] for quick playhead access
@@ -303,11 +778,17 @@ function buildStepSequencer() {
     seqStepElements.push([]);
     const row = document.createElement("div");
     row.className = "seq-track";
+    if (tr >= drumTrackCount) row.style.display = "none";
 
     // ---- Track label ----
     const label = document.createElement("span");
     label.className = "seq-track-name";
     label.textContent = TRACK_NAMES[tr];
+    label.title = "Mute / unmute (mixer: DRUM MIXER page)";
+    label.addEventListener("click", () => {
+      ensureAudioContext();
+      editDrumMix((mix) => { mix.mute[tr] = !mix.mute[tr]; });
+    });
     row.appendChild(label);
 
     // ---- 16 step buttons ----
@@ -328,13 +809,38 @@ function buildStepSequencer() {
       stepEl.appendChild(led);
 
       // Click handler: toggle step on/off + preview sound
-      stepEl.addEventListener("click", () => {
+      // Right-click toggles accent (Shift is momentary note repeat),
+      // Alt+click opens the step on the DRUM STEP page
+      stepEl.title = "Click: on/off · Right-click: accent · Alt+click: edit step";
+      const toggleStep = (accent) => {
         ensureAudioContext();
-        drumPattern[tr][s] = !drumPattern[tr][s];
-        stepEl.classList.toggle("active", drumPattern[tr][s]);
-        if (drumPattern[tr][s]) {
-          playDrumSound(tr, audioCtx.currentTime);
+        const step = seqStepPage * SEQ_STEPS + s;
+        recordUndo("STEP", () => captureDrumStep(tr, step), restoreDrumStep, () => {
+          if (accent) {
+            const current = drumPattern[tr][step] || createDrumStep();
+            current.vel = current.vel >= ACCENT_VELOCITY ? DRUM_STEP_VELOCITY : ACCENT_VELOCITY;
+            drumPattern[tr][step] = current;
+          } else {
+            drumPattern[tr][step] = drumPattern[tr][step] ? null : createDrumStep();
+          }
+        });
+        syncStepSequencer();
+        refreshLcdPage("step");
+        if (drumPattern[tr][step]) {
+          playDrumSound(tr, audioCtx.currentTime, drumPattern[tr][step].vel / DRUM_STEP_VELOCITY);
+        }
+      };
+      stepEl.addEventListener("click", (e) => {
+        if (e.altKey) {
+          ensureAudioContext();
+          editDrumStepAt(tr, seqStepPage * SEQ_STEPS + s);
+          return;
         }
+        toggleStep(false);
+      });
+      stepEl.addEventListener("contextmenu", (e) => {
+        e.preventDefault();
+        toggleStep(true);
       });
 
       steps.appendChild(stepEl);
@@ -348,31 +854,60 @@ function buildStepSequencer() {
 
 buildStepSequencer();
 
+// ---- Re-apply drumPattern to the step LEDs (after the pattern, page or a length changes) ----
+// Steps past a track's length are dimmed; they keep their state but never play.
+function syncStepSequencer() {
+  const offset = seqStepPage * SEQ_STEPS;
+  for (let tr = 0; tr < seqStepElements.length; tr++) {
+    stepSeqContainer.children[tr].querySelector(".seq-track-name").textContent = trackLabel(tr);
+    for (let s = 0; s < seqStepElements[tr].length; s++) {
+      const step = drumPattern[tr][offset + s];
+      seqStepElements[tr][s].classList.toggle("active", !!step);
+      seqStepElements[tr][s].classList.toggle("accent", !!step && step.vel >= ACCENT_VELOCITY);
+      seqStepElements[tr][s].classList.toggle("edited", !!step && isDrumStepEdited(step));
+      seqStepElements[tr][s].classList.toggle("editing",
+        isLcdPageOpen("step") && tr === stepEditTrack && offset + s === stepEditIndex);
+      seqStepElements[tr][s].classList.toggle("beyond", offset + s >= trackSteps[tr]);
+      seqStepElements[tr][s].classList.toggle("current", offset + s === seqPlayheadSteps[tr]);
+    }
+  }
+}
+
 // ============================================================
-// BUILD PROGRESS BAR TICK MARKS (64 × 1/32nd note grid, 2 bars)
-// The visual timeline always represents 32 slices (2 bars).
+// BUILD PROGRESS BAR TICK MARKS (1/32nd note grid of the loop)
+// The visual timeline spans the loop, but never less than 2 bars
+// of the pattern's meter — a 1-bar loop fills the first half.
 // Four-level hierarchy: bar → beat → 16th → 32nd micro-tick
+// Rebuilt whenever the loop length or time signature changes.
 // ============================================================
 
-const VISUAL_STEPS = TOTAL_STEPS / 2; // 64 (2 bars of 32nd notes = 32 slices)
+function getTimelineBars() {
+  return Math.max(2, loopBars);
+}
+
+// ---- Share of the timeline width taken by the loop (%) ----
+function getLoopWidth() {
+  return (loopBars / getTimelineBars()) * 100;
+}
 
 function buildProgressTicks() {
   progressTicksContainer.innerHTML = "";
   tickElements = [];
 
-  const stepsPerBar = THIRTYSECONDS_PER_BEAT * BEATS_PER_BAR; // 32
-  const stepsPerBeat = THIRTYSECONDS_PER_BEAT;                 // 8
+  const stepsPerBar = getStepsPerBar();    // 32 in 4/4
+  const stepsPerBeat = getStepsPerBeat();  // 8 (quarter) or 4 (eighth)
+  const visualSteps = getTimelineBars() * stepsPerBar;
 
-  for (let i = 0; i < VISUAL_STEPS; i++) {
+  for (let i = 0; i < visualSteps; i++) {
     const tick = document.createElement("div");
     tick.className = "progress-tick";
 
     // Classify tick by musical weight (highest match wins)
     if (i % stepsPerBar === 0) {
-      // Bar boundary (every 32 steps)
+      // Bar boundary
       tick.classList.add("bar-tick");
     } else if (i % stepsPerBeat === 0) {
-      // Beat boundary (every 8 steps)
+      // Beat boundary
       tick.classList.add("beat-tick");
     } else if (i % STEPS_PER_SIXTEENTH === 0) {
       // 16th-note boundary (every 2 steps)
@@ -382,7 +917,7 @@ function buildProgressTicks() {
       tick.classList.add("thirtysecond-tick");
     }
 
-    tick.style.left = ((i / VISUAL_STEPS) * 100) + "%";
+    tick.style.left = ((i / visualSteps) * 100) + "%";
     progressTicksContainer.appendChild(tick);
     tickElements.push(tick);
   }
@@ -418,7 +953,17 @@ function initWavesurfer() {
 
   wavesurfer.on("decode", () => {
     decodedBuffer = wavesurfer.getDecodedData();
-    autoSlice();
+    detectedTempo = estimateTempo(decodedBuffer);
+    fileTempoEl.textContent = detectedTempo ? "~" + detectedTempo.toFixed(1) + " BPM" : "";
+    refreshLcdPage("tempo");
+    updateWarp();
+    if (pendingSliceBounds) {
+      // Project load: restore the saved slice points instead of re-chopping
+      applySliceBounds(pendingSliceBounds);
+      pendingSliceBounds = null;
+    } else {
+      autoSlice();
+    }
     enablePads();
   });
 
@@ -459,33 +1004,82 @@ dropZone.addEventListener("drop", (e) => {
 });
 
 function loadFile(file) {
+  sampleFile = file;
   fileNameEl.textContent = file.name.toUpperCase();
+  fileTempoEl.textContent = "";
   dropZone.classList.add("loaded");
 
   // Stop sequencer and audio
   stopPlayback();
-  stopCurrent();
+  stopAllVoices();
+  clearUndoHistory();
+
+  // A new sample starts unwarped, assumed to be at the current tempo,
+  // with default pad parameters (a project or SWAP brings its own)
+  warpEnabled = false;
+  sampleTempo = bpm;
+  regions.forEach((r) => { r.params = createPadParams(); });
 
   const objectUrl = URL.createObjectURL(file);
   wavesurfer.load(objectUrl);
 }
 
 // ============================================================
-// AUTO-SLICE INTO 16 EQUAL REGIONS
+// AUTO-SLICE INTO 16 REGIONS
+// "EQUAL" chops the sample into 16 equal lengths.
+// "TRANSIENT" places the boundaries on detected onsets
+// (see TRANSIENT DETECTION below).
 // ============================================================
 
 function autoSlice() {
   if (!decodedBuffer) return;
 
-  wsRegions.clearRegions();
-  regions = [];
+  if (sliceDetectMode === "transient") {
+    applySliceBounds(transientSliceBounds(decodedBuffer, sliceSensitivity));
+    return;
+  }
+  if (sliceDetectMode === "tempo" && detectedTempo) {
+    applySliceBounds(tempoGridBounds(decodedBuffer.duration, getGridTempo()));
+    return;
+  }
 
   const duration = decodedBuffer.duration;
   const sliceLen = duration / NUM_PADS;
 
+  const bounds = [];
   for (let i = 0; i < NUM_PADS; i++) {
-    const start = i * sliceLen;
-    const end = (i + 1) * sliceLen;
+    bounds.push({ start: i * sliceLen, end: (i + 1) * sliceLen });
+  }
+  applySliceBounds(bounds);
+}
+
+// ---- Default per-pad sound parameters (PAD page) ----
+function createPadParams() {
+  return {
+    tune: 0,          // coarse, semitones (-24..+24)
+    fine: 0,          // cents (-50..+50)
+    level: 100,       // 0-100 %
+    pan: 0,           // -50 (L) .. +50 (R)
+    reverse: false,
+    attack: 0,        // ms
+    decay: 0,         // ms, 0 = play to the end of the slice
+    mode: "oneshot",  // "oneshot" | "gate" (stops when the pad is released)
+    delay: 0,         // delay send, 0-100
+    reverb: 0,        // reverb send, 0-100
+  };
+}
+
+// ---- (Re)build the pad regions from a list of { start, end, [params] } ----
+// Pads keep their sound parameters across a re-slice of the same sample
+// (mode, sensitivity) unless new ones are given; loadFile() resets them.
+function applySliceBounds(bounds) {
+  const previousParams = regions.map((r) => r.params);
+  wsRegions.clearRegions();
+  regions = [];
+
+  for (let i = 0; i < NUM_PADS && i < bounds.length; i++) {
+    const { start, end } = bounds[i];
+    const params = Object.assign(createPadParams(), previousParams[i], bounds[i].params);
 
     const regionObj = wsRegions.addRegion({
       id: `slice-${i}`,
@@ -496,10 +1090,521 @@ function autoSlice() {
       resize: true,
     });
 
-    regions.push({ id: `slice-${i}`, start, end, wsRegion: regionObj });
+    regions.push({ id: `slice-${i}`, start, end, wsRegion: regionObj, params });
+  }
+}
+
+// ============================================================
+// TRANSIENT DETECTION — Spectral-Flux Onset Slicing
+// Mono mixdown → Hann-windowed FFT frames (~23 ms, 50% hop)
+// → positive spectral flux → adaptive-threshold peak picking.
+// Sensitivity 1–10 lowers the threshold.  The strongest onsets
+// become the 16 region starts, each snapped back to the nearest
+// zero-crossing; too few onsets are padded by halving the
+// longest regions, so the result is always 16 contiguous slices.
+// ============================================================
+
+const ONSET_MIN_GAP = 0.05;         // seconds between accepted onsets
+const ZERO_CROSS_WINDOW = 0.005;    // seconds searched for a zero-crossing
+
+// ---- In-place iterative radix-2 FFT (re / im are Float32Arrays, power-of-two length) ----
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wRe = Math.cos(ang);
+    const wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const aRe = re[i + k];
+        const aIm = im[i + k];
+        const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+        const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+        re[i + k] = aRe + bRe;
+        im[i + k] = aIm + bIm;
+        re[i + k + len / 2] = aRe - bRe;
+        im[i + k + len / 2] = aIm - bIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+function mixToMono(buffer) {
+  const mono = new Float32Array(buffer.length);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < buffer.length; i++) mono[i] += data[i] / buffer.numberOfChannels;
+  }
+  return mono;
+}
+
+// ---- Positive spectral flux of a mono signal, one value per hop, peak = 1 ----
+function spectralFlux(data, sr) {
+  let frameSize = 256;
+  while (frameSize < sr * 0.023) frameSize <<= 1;
+  const hop = frameSize / 2;
+  const bins = frameSize / 2;
+
+  const hann = new Float32Array(frameSize);
+  for (let i = 0; i < frameSize; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize);
+
+  const re = new Float32Array(frameSize);
+  const im = new Float32Array(frameSize);
+  let prevMag = new Float32Array(bins);
+  const flux = [];
+
+  for (let pos = 0; pos + frameSize <= data.length; pos += hop) {
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = data[pos + i] * hann[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const mag = new Float32Array(bins);
+    let sum = 0;
+    for (let k = 0; k < bins; k++) {
+      // Log compression keeps quiet ghost notes visible next to loud hits
+      mag[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+      const rise = mag[k] - prevMag[k];
+      if (rise > 0) sum += rise;
+    }
+    flux.push(sum);
+    prevMag = mag;
+  }
+
+  // A loop, not Math.max(...flux): long samples have more frames than fit in an argument list
+  let peak = 0;
+  for (let f = 0; f < flux.length; f++) peak = Math.max(peak, flux[f]);
+  peak = peak || 1;
+  for (let f = 0; f < flux.length; f++) flux[f] /= peak;
+  return { flux, hop, frameSize };
+}
+
+// ---- Detect onsets; returns [{ time, strength }] sorted by time ----
+// time is refined from frame resolution to the attack inside the frame.
+function detectOnsets(buffer, sensitivity) {
+  const data = mixToMono(buffer);
+  const sr = buffer.sampleRate;
+  const { flux, hop, frameSize } = spectralFlux(data, sr);
+  if (flux.length === 0) return [];
+
+  // Sensitivity 1 → +0.30 above the local mean, 10 → +0.03
+  const delta = 0.03 + (10 - sensitivity) * 0.03;
+  const spread = 8;            // frames either side for the local mean
+  const localMax = 3;          // frames either side that must be lower
+  const minGapFrames = Math.max(1, Math.round((ONSET_MIN_GAP * sr) / hop));
+
+  const onsets = [];
+  let lastFrame = -Infinity;
+  for (let f = 0; f < flux.length; f++) {
+    let isMax = true;
+    for (let d = -localMax; d <= localMax && isMax; d++) {
+      if (d !== 0 && flux[f + d] > flux[f]) isMax = false;
+    }
+    if (!isMax) continue;
+
+    let mean = 0;
+    let count = 0;
+    for (let d = -spread; d <= spread; d++) {
+      if (f + d >= 0 && f + d < flux.length) {
+        mean += flux[f + d];
+        count++;
+      }
+    }
+    mean /= count;
+
+    if (flux[f] > mean + delta && f - lastFrame >= minGapFrames) {
+      const attack = findAttack(data, f * hop, Math.min(data.length, f * hop + frameSize));
+      onsets.push({ time: attack / sr, strength: flux[f] });
+      lastFrame = f;
+    }
+  }
+  return onsets;
+}
+
+// ---- First sample in [from, to) that reaches a quarter of the window's peak ----
+function findAttack(data, from, to) {
+  let peak = 0;
+  for (let i = from; i < to; i++) peak = Math.max(peak, Math.abs(data[i]));
+  for (let i = from; i < to; i++) {
+    if (Math.abs(data[i]) >= peak * 0.25) return i;
+  }
+  return from;
+}
+
+// ---- Move a sample position to the nearest zero-crossing (searching backwards first) ----
+function snapToZeroCrossing(data, index, maxDistance) {
+  const crosses = (i) => i > 0 && i < data.length && (data[i - 1] < 0) !== (data[i] < 0);
+  for (let d = 0; d <= maxDistance; d++) {
+    if (crosses(index - d)) return index - d;
+  }
+  for (let d = 1; d <= maxDistance; d++) {
+    if (crosses(index + d)) return index + d;
+  }
+  return index;
+}
+
+// ---- Build 16 contiguous { start, end } bounds from detected onsets ----
+function transientSliceBounds(buffer, sensitivity) {
+  const duration = buffer.duration;
+  const sr = buffer.sampleRate;
+  const data = mixToMono(buffer);
+  const snapWindow = Math.round(ZERO_CROSS_WINDOW * sr);
+  const snap = (t) => snapToZeroCrossing(data, Math.round(t * sr), snapWindow) / sr;
+
+  // Keep the strongest onsets, then put them back in time order
+  const onsets = detectOnsets(buffer, sensitivity)
+    .sort((a, b) => b.strength - a.strength)
+    .slice(0, NUM_PADS)
+    .map((o) => snap(o.time))
+    .sort((a, b) => a - b);
+
+  // Leading silence before the first hit is dropped; no onsets = start at 0
+  const starts = onsets.length > 0 ? onsets : [0];
+
+  // Too few onsets: halve the longest slice until all 16 pads are used
+  while (starts.length < NUM_PADS) {
+    let longest = 0;
+    let longestLen = -1;
+    for (let i = 0; i < starts.length; i++) {
+      const len = (i + 1 < starts.length ? starts[i + 1] : duration) - starts[i];
+      if (len > longestLen) {
+        longestLen = len;
+        longest = i;
+      }
+    }
+    starts.splice(longest + 1, 0, snap(starts[longest] + longestLen / 2));
+  }
+
+  return starts.map((start, i) => ({
+    start,
+    end: i + 1 < starts.length ? starts[i + 1] : duration,
+  }));
+}
+
+// ============================================================
+// TEMPO DETECTION
+// The onset envelope (spectral flux above its mean) is
+// autocorrelated over the lags of 60–200 BPM, weighted towards
+// 120 BPM so the half / double tempo loses.  A sample that is a
+// whole number of bars long at (nearly) that tempo is taken to be
+// a loop and snapped to its exact tempo.
+// ============================================================
+
+const TEMPO_DETECT_MIN = 60;
+const TEMPO_DETECT_MAX = 200;
+const TEMPO_DETECT_CENTER = 120;     // Preferred when octaves score alike
+const TEMPO_LOOP_TOLERANCE = 0.04;   // Snap to the whole-bar loop tempo within 4 %
+const TEMPO_MIN_SECONDS = 2;         // Shorter samples are not estimated
+
+// ---- Estimated tempo of a buffer in BPM (one decimal), or null ----
+function estimateTempo(buffer) {
+  if (buffer.duration < TEMPO_MIN_SECONDS) return null;
+  const { flux, hop } = spectralFlux(mixToMono(buffer), buffer.sampleRate);
+  if (flux.length === 0) return null;
+  const frameRate = buffer.sampleRate / hop;
+
+  const mean = flux.reduce((sum, v) => sum + v, 0) / flux.length;
+  const env = flux.map((v) => Math.max(0, v - mean));
+
+  const minLag = Math.max(1, Math.floor((60 / TEMPO_DETECT_MAX) * frameRate));
+  const maxLag = Math.min(env.length - 2, Math.ceil((60 / TEMPO_DETECT_MIN) * frameRate));
+  const scores = [];
+  let bestLag = -1;
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < env.length; i++) sum += env[i] * env[i - lag];
+    const octaves = Math.log2((60 * frameRate) / lag / TEMPO_DETECT_CENTER);
+    scores[lag] = (sum / (env.length - lag)) * Math.exp(-0.5 * octaves * octaves);
+    if (lag >= minLag && lag <= maxLag && (bestLag < 0 || scores[lag] > scores[bestLag])) bestLag = lag;
+  }
+  if (bestLag < 0 || !(scores[bestLag] > 0)) return null;
+
+  // Parabolic fit through the neighbouring lags for sub-frame precision
+  const y0 = scores[bestLag - 1];
+  const y1 = scores[bestLag];
+  const y2 = scores[bestLag + 1];
+  const curve = y0 - 2 * y1 + y2;
+  const lag = curve < 0 ? bestLag + (0.5 * (y0 - y2)) / curve : bestLag;
+  let tempo = (60 * frameRate) / lag;
+
+  const barBeats = getStepsPerBar() / THIRTYSECONDS_PER_BEAT;   // Quarter notes per bar
+  const beats = Math.round((buffer.duration * tempo) / 60 / barBeats) * barBeats;
+  if (beats > 0) {
+    const loopTempo = (60 * beats) / buffer.duration;
+    if (Math.abs(loopTempo / tempo - 1) < TEMPO_LOOP_TOLERANCE) tempo = loopTempo;
+  }
+  return Math.round(tempo * 10) / 10;
+}
+
+// ---- Tempo the grid slices follow: the detected tempo in whole BPM ----
+// The same value SET BPM gives the project (see setBpm), so grid slices
+// stay in step with the sequencer instead of drifting by the fraction.
+function getGridTempo() {
+  return Math.round(detectedTempo);
+}
+
+// ---- 16 equal slices of whole 1/16 notes on the detected tempo grid ----
+// The last slice keeps the tail; too short a sample falls back to EQUAL.
+function tempoGridBounds(duration, tempo) {
+  const sixteenth = 60 / tempo / SIXTEENTHS_PER_BEAT;
+  const perSlice = Math.floor(duration / sixteenth / NUM_PADS);
+  const sliceLen = perSlice > 0 ? perSlice * sixteenth : duration / NUM_PADS;
+  return Array.from({ length: NUM_PADS }, (_, i) => ({
+    start: i * sliceLen,
+    end: i === NUM_PADS - 1 ? duration : (i + 1) * sliceLen,
+  }));
+}
+
+// ---- SLICE page: detection mode + sensitivity (re-slices immediately) ----
+const SLICE_DETECT_MODES = ["equal", "transient", "tempo"];
+
+registerLcdPage("slice", "SLICE", (page) => {
+  const modeIdx = SLICE_DETECT_MODES.indexOf(sliceDetectMode);
+  lcdStepper(lcdRow(page, "MODE"), sliceDetectMode.toUpperCase(),
+    () => setSliceDetect(SLICE_DETECT_MODES[Math.max(0, modeIdx - 1)], sliceSensitivity),
+    () => setSliceDetect(SLICE_DETECT_MODES[Math.min(SLICE_DETECT_MODES.length - 1, modeIdx + 1)], sliceSensitivity));
+  if (sliceDetectMode === "tempo") {
+    lcdText(lcdRow(page, "GRID"), detectedTempo ? getGridTempo() + " BPM" : "NO TEMPO - EQUAL");
+  }
+  if (sliceDetectMode === "transient") {
+    lcdStepper(lcdRow(page, "SENSITIVITY"), String(sliceSensitivity),
+      () => setSliceDetect("transient", sliceSensitivity - 1),
+      () => setSliceDetect("transient", sliceSensitivity + 1));
+  }
+  lcdButton(lcdRow(page, ""), "[ RE-SLICE ]", () => autoSlice(), "Discard manual edits and slice again");
+});
+
+function setSliceDetect(mode, sensitivity) {
+  sliceDetectMode = mode;
+  sliceSensitivity = Math.max(1, Math.min(10, sensitivity));
+  autoSlice();
+}
+
+// ============================================================
+// WARP / TIME-STRETCH
+// With WARP on, the sample is stretched offline (WSOLA) from its
+// original tempo to the current BPM, so slices keep their place in
+// the bar at any tempo.  The global PITCH is folded into the same
+// stretch and played back as a rate change: pitch moves, length
+// stays.  Pad TUNE / FINE still change speed as before.
+// The stretch runs in short slices between the scheduler's
+// ticks; the previous warped copy keeps playing until the new
+// one is swapped in.
+// ============================================================
+
+const WARP_FRAME_SECONDS = 0.04;    // WSOLA grain (50 % overlap)
+const WARP_SEARCH_SECONDS = 0.01;   // How far a grain may slide to line up with the last one
+const WARP_COARSE_STEP = 4;         // Search / correlation stride (refined around the best match)
+const WARP_UPDATE_MS = 150;         // Re-stretch at most this often while the tempo moves
+const WARP_MIN_CHANGE = 0.005;      // Ignore stretch changes below 0.5 % (external clock jitter)
+const WARP_SLICE_MS = 8;            // Main-thread time per stretch slice (well inside the look-ahead)
+const SAMPLE_TEMPO_MIN = 40;
+const SAMPLE_TEMPO_MAX = 240;
+
+// ---- Output length / input length needed for the current tempo and pitch ----
+function getWarpStretch() {
+  return (sampleTempo / bpm) * Math.pow(2, semitones / 12);
+}
+
+// ---- Buffer the slices play from (the warped copy while WARP is on) ----
+function getSliceBuffer() {
+  return warpedBuffer || decodedBuffer;
+}
+
+// ---- Input position near `nominal` whose grain best continues the one at `target` ----
+function findWarpOffset(mono, target, nominal, search, length) {
+  const last = mono.length - length;
+  if (target > last) return Math.min(nominal, Math.max(0, last));
+
+  const correlate = (pos, stride) => {
+    let sum = 0;
+    for (let i = 0; i < length; i += stride) sum += mono[pos + i] * mono[target + i];
+    return sum;
+  };
+  const scan = (from, to, stride) => {
+    let best = Math.max(0, Math.min(last, nominal));
+    let bestScore = -Infinity;
+    for (let pos = Math.max(0, from); pos <= Math.min(last, to); pos += stride) {
+      const score = correlate(pos, WARP_COARSE_STEP);
+      if (score > bestScore) {
+        bestScore = score;
+        best = pos;
+      }
+    }
+    return best;
+  };
+
+  const coarse = scan(nominal - search, nominal + search, WARP_COARSE_STEP);
+  return scan(coarse - WARP_COARSE_STEP + 1, coarse + WARP_COARSE_STEP - 1, 1);
+}
+
+// ---- WSOLA: stretch every channel of `src` by `stretch` without changing pitch ----
+// Grains are aligned on a mono mix so all channels move together.  Works in
+// WARP_SLICE_MS slices; resolves to null once isCurrent() says it was superseded.
+// @returns {Promise<AudioBuffer|null>}
+function timeStretchBuffer(src, stretch, isCurrent) {
+  const sr = src.sampleRate;
+  const frame = 2 * Math.round((WARP_FRAME_SECONDS * sr) / 2);
+  const hop = frame / 2;
+  const analysisHop = hop / stretch;
+  const search = Math.round(WARP_SEARCH_SECONDS * sr);
+  const outLength = Math.max(1, Math.ceil(src.length * stretch));
+
+  const channels = [];
+  for (let ch = 0; ch < src.numberOfChannels; ch++) channels.push(src.getChannelData(ch));
+  let mono = channels[0];
+  if (channels.length > 1) {
+    mono = new Float32Array(src.length);
+    channels.forEach((data) => {
+      for (let i = 0; i < data.length; i++) mono[i] += data[i];
+    });
+  }
+
+  const hann = new Float32Array(frame);
+  for (let i = 0; i < frame; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frame);
+
+  const out = channels.map(() => new Float32Array(outLength + frame));
+  const weight = new Float32Array(outLength + frame);
+  let prev = 0;
+  let k = 0;
+
+  const finish = () => {
+    const result = new AudioBuffer({ numberOfChannels: channels.length, length: outLength, sampleRate: sr });
+    out.forEach((data, ch) => {
+      for (let i = 0; i < outLength; i++) {
+        if (weight[i] > 1e-6) data[i] /= weight[i];
+      }
+      result.copyToChannel(data.subarray(0, outLength), ch);
+    });
+    return result;
+  };
+
+  return new Promise((resolve) => {
+    const runSlice = () => {
+      if (!isCurrent()) {
+        resolve(null);
+        return;
+      }
+      const sliceEnd = performance.now() + WARP_SLICE_MS;
+      for (; k * hop < outLength && performance.now() < sliceEnd; k++) {
+        const nominal = Math.round(k * analysisHop);
+        const pos = k === 0 ? 0 : findWarpOffset(mono, prev + hop, nominal, search, hop);
+        const outPos = k * hop;
+        for (let i = 0; i < frame && pos + i < src.length; i++) {
+          const w = hann[i];
+          for (let ch = 0; ch < channels.length; ch++) out[ch][outPos + i] += channels[ch][pos + i] * w;
+          weight[outPos + i] += w;
+        }
+        prev = pos;
+      }
+      if (k * hop < outLength) setTimeout(runSlice, 0);
+      else resolve(finish());
+    };
+    runSlice();
+  });
+}
+
+// ---- Rebuild the warped buffer now (sample load, WARP page) ----
+// Supersedes a stretch in progress.  A copy of the same sample keeps
+// playing until the new one is ready; anything else is dropped at once.
+function updateWarp() {
+  clearTimeout(warpTimerID);
+  warpTimerID = null;
+  const stretch = getWarpStretch();
+  const wanted = warpEnabled && decodedBuffer && Math.abs(stretch - 1) > 0.001;
+  if (!wanted || warpedSource !== decodedBuffer) {
+    warpedBuffer = null;
+    warpedStretch = 1;
+    warpedSource = null;
+    reversedBuffer = null;
+  }
+  if (!wanted) {
+    warpJob = null;
+    refreshLcdPage("warp");
+    return Promise.resolve();
   }
+
+  const src = decodedBuffer;
+  const job = { stretch };
+  warpJob = job;
+  refreshLcdPage("warp");
+  return timeStretchBuffer(src, stretch, () => warpJob === job).then((result) => {
+    if (!result || warpJob !== job) return;
+    warpJob = null;
+    warpedBuffer = result;
+    warpedStretch = stretch;
+    warpedSource = src;
+    reversedBuffer = null;
+    refreshLcdPage("warp");
+    // The tempo may have moved on while stretching
+    scheduleWarpUpdate();
+  });
+}
+
+// ---- Tempo / pitch moved: re-stretch shortly, once the change is big enough ----
+// While a stretch is running the check waits for it to finish.
+function scheduleWarpUpdate() {
+  if (!warpEnabled || !decodedBuffer || warpTimerID || warpJob) return;
+  if (Math.abs(getWarpStretch() / warpedStretch - 1) < WARP_MIN_CHANGE) return;
+  warpTimerID = setTimeout(updateWarp, WARP_UPDATE_MS);
+  refreshLcdPage("warp");
+}
+
+function setWarp(enabled) {
+  warpEnabled = enabled;
+  updateWarp();
+}
+
+function setSampleTempo(val) {
+  sampleTempo = Math.max(SAMPLE_TEMPO_MIN, Math.min(SAMPLE_TEMPO_MAX, Math.round(val * 10) / 10));
+  updateWarp();
 }
 
+// ---- Original tempo at which the whole sample fills the loop ----
+function fitSampleTempo() {
+  if (!decodedBuffer) return;
+  let tempo = (bpm * getLoopDuration()) / decodedBuffer.duration;
+  while (tempo < SAMPLE_TEMPO_MIN) tempo *= 2;
+  while (tempo > SAMPLE_TEMPO_MAX) tempo /= 2;
+  setSampleTempo(tempo);
+}
+
+// Warp is a property of the sample: undone together with the panel settings
+function changeWarp(mutate) {
+  changeSetting("WARP", mutate);
+}
+
+registerLcdPage("warp", "WARP", (page) => {
+  lcdStepper(lcdRow(page, "WARP"), warpEnabled ? "ON" : "OFF",
+    () => changeWarp(() => setWarp(false)),
+    () => changeWarp(() => setWarp(true)));
+  lcdStepper(lcdRow(page, "ORIG TEMPO"), sampleTempo.toFixed(1) + " BPM",
+    () => changeWarp(() => setSampleTempo(Math.ceil(sampleTempo) - 1)),
+    () => changeWarp(() => setSampleTempo(Math.floor(sampleTempo) + 1)));
+  lcdButton(lcdRow(page, ""), "[ FIT TO LOOP ]", () => changeWarp(fitSampleTempo),
+    "Original tempo at which the whole sample lasts one loop");
+
+  let status = "OFF";
+  if (!decodedBuffer) status = "NO SAMPLE";
+  else if (warpEnabled) status = "x" + warpedStretch.toFixed(3) + (warpTimerID || warpJob ? " ..." : "");
+  lcdText(lcdRow(page, "STRETCH"), status);
+});
+
 // ============================================================
 // CONTIGUOUS REGION UPDATE
 // ============================================================
@@ -507,6 +1612,7 @@ function autoSlice() {
 function handleRegionUpdate(region) {
   const idx = regions.findIndex((r) => r.id === region.id);
   if (idx === -1) return;
+  const before = captureSliceBounds();
 
   regions[idx].start = region.start;
   regions[idx].end = region.end;
@@ -526,6 +1632,8 @@ function handleRegionUpdate(region) {
       prev.wsRegion.setOptions({ end: region.start });
     }
   }
+
+  pushUndo("SLICE", before, captureSliceBounds(), restoreSliceBounds);
 }
 
 // ============================================================
@@ -545,109 +1653,489 @@ function ensureAudioContext() {
     audioCtx = new (window.AudioContext || window.webkitAudioContext)();
 
     // ---- Build Master Output Chain ----
-    // All slice outputs → masterGainNode → compressorNode → destination
+    // All slice outputs → masterGainNode → [converter] → compressorNode → destination
     // The compressor acts as a limiter / "glue" to give the 90s boom-bap punch.
     masterGainNode = audioCtx.createGain();
     masterGainNode.gain.value = 1.0;
 
-    compressorNode = audioCtx.createDynamicsCompressor();
-    compressorNode.threshold.value = -bumpAmount;  // -24 dB default
-    compressorNode.knee.value = 30;                 // Soft knee for musical feel
-    compressorNode.ratio.value = 12;                // Aggressive squash for punch
-    compressorNode.attack.value = 0.003;            // Fast; lets the click through
-    compressorNode.release.value = 0.25;            // Slow pump for boom-bap groove
+    compressorNode = createBumpCompressor(audioCtx);
 
     masterGainNode.connect(compressorNode);
     compressorNode.connect(audioCtx.destination);
+    // Converter emulation is spliced in between once its worklet loads
+    initConverter();
+
+    // ---- Send effects (delay / reverb) return into the master bus ----
+    fxBuses = createFxBuses(audioCtx, masterGainNode);
 
     // ---- Metronome Output (separate path, bypasses compressor) ----
     metronomeGainNode = audioCtx.createGain();
     metronomeGainNode.gain.value = 1.0;
     metronomeGainNode.connect(audioCtx.destination);
 
-    // ---- Drum Track Gain Nodes (per-track volume → master compressor) ----
+    // ---- Drum Track Channels (level / mute / solo → pan → master compressor) ----
     for (let i = 0; i < DRUM_TRACKS; i++) {
       drumGainNodes[i] = audioCtx.createGain();
-      drumGainNodes[i].gain.value = drumTrackVol[i] / 100;
-      drumGainNodes[i].connect(masterGainNode);
+      drumGainNodes[i].gain.value = drumTrackGain(i);
+      drumPanNodes[i] = audioCtx.createStereoPanner();
+      drumPanNodes[i].pan.value = drumMix.pan[i] / 50;
+      drumGainNodes[i].connect(drumPanNodes[i]).connect(masterGainNode);
+      drumSendNodes[i] = { delay: audioCtx.createGain(), reverb: audioCtx.createGain() };
+      drumSendNodes[i].delay.gain.value = drumMix.delay[i] / 100;
+      drumSendNodes[i].reverb.gain.value = drumMix.reverb[i] / 100;
+      drumPanNodes[i].connect(drumSendNodes[i].delay).connect(fxBuses.delayIn);
+      drumPanNodes[i].connect(drumSendNodes[i].reverb).connect(fxBuses.reverbIn);
     }
   }
-  if (audioCtx.state === "suspended") {
+  if (audioCtx.state === "suspended" && !isBouncing) {
     audioCtx.resume();
   }
 }
 
+// ---- The "bump" compressor (shared by the live chain and BOUNCE) ----
+function createBumpCompressor(ctx) {
+  const comp = ctx.createDynamicsCompressor();
+  comp.threshold.value = -bumpAmount;  // -24 dB default
+  comp.knee.value = 30;                 // Soft knee for musical feel
+  comp.ratio.value = 12;                // Aggressive squash for punch
+  comp.attack.value = 0.003;            // Fast; lets the click through
+  comp.release.value = 0.25;            // Slow pump for boom-bap groove
+  return comp;
+}
+
 // ============================================================
-// CENTRALIZED playSlice() — AUDIO ONLY + MUTE GROUP
-// Both manual pad clicks and sequencer triggers call this.
-// @param {number} index      – pad / slice index (0-15)
-// @param {number} [atTime]   – Web Audio scheduled time (omit for "now")
+// CONVERTER EMULATION
+// An AudioWorklet (converter-worklet.js) between masterGainNode
+// and compressorNode re-creates a vintage sampler's converters:
+// its sample rate and bit depth, and the anti-alias / anti-image
+// filters it had (or lacked).  The live node stays in the chain
+// once loaded and is switched by message; BOUNCE inserts its own
+// node into the offline mix when a model is selected.
 // ============================================================
 
-function playSlice(index, atTime) {
-  if (!decodedBuffer || index < 0 || index >= NUM_PADS) return;
-  ensureAudioContext();
-
-  const slice = regions[index];
-  if (!slice) return;
+const CONVERTER_WORKLET_URL = "converter-worklet.js";
+const CONVERTER_MODELS = [
+  { id: "off", name: "OFF" },
+  // 40 kHz / 12-bit with filtered input and output
+  { id: "mpc60", name: "MPC60 12/40K", rate: 40000, bits: 12, antiAlias: 15000, antiImage: 15000 },
+  // 26.04 kHz / 12-bit, unfiltered: aliasing in, stepped images out
+  { id: "sp1200", name: "SP-1200 12/26K", rate: 26040, bits: 12, antiAlias: 0, antiImage: 0 },
+];
 
-  const t = atTime || audioCtx.currentTime;
+function getConverterModel() {
+  return CONVERTER_MODELS.find((m) => m.id === converterModel) || CONVERTER_MODELS[0];
+}
 
-  // ---- Mute-group: stop whatever is playing ----
-  stopCurrent(t);
+function createConverterNode(ctx) {
+  return new AudioWorkletNode(ctx, "hal60-converter", {
+    outputChannelCount: [2],
+    processorOptions: { model: getConverterModel() },
+  });
+}
+
+// ---- Live chain: load the worklet, then splice it in ahead of the compressor ----
+function initConverter() {
+  if (!audioCtx.audioWorklet) return;
+  audioCtx.audioWorklet.addModule(CONVERTER_WORKLET_URL).then(() => {
+    converterNode = createConverterNode(audioCtx);
+    masterGainNode.disconnect();
+    masterGainNode.connect(converterNode).connect(compressorNode);
+  }).catch((err) => {
+    console.warn("Converter emulation unavailable:", err);
+  });
+}
+
+// ---- Offline chain (BOUNCE mix): input → [converter] → output ----
+function connectConverter(ctx, input, output) {
+  if (getConverterModel().id === "off" || !ctx.audioWorklet) {
+    input.connect(output);
+    return Promise.resolve();
+  }
+  return ctx.audioWorklet.addModule(CONVERTER_WORKLET_URL).then(() => {
+    input.connect(createConverterNode(ctx)).connect(output);
+  }).catch((err) => {
+    console.warn("Converter emulation unavailable:", err);
+    input.connect(output);
+  });
+}
+
+function setConverterModel(id) {
+  converterModel = CONVERTER_MODELS.some((m) => m.id === id) ? id : "off";
+  if (converterNode) converterNode.port.postMessage(getConverterModel());
+  refreshLcdPage("converter");
+}
+
+registerLcdPage("converter", "CONVERTER", (page) => {
+  const idx = CONVERTER_MODELS.indexOf(getConverterModel());
+  const step = (dir) => {
+    const next = CONVERTER_MODELS[Math.max(0, Math.min(CONVERTER_MODELS.length - 1, idx + dir))];
+    changeSetting("CONVERTER", () => setConverterModel(next.id));
+  };
+  lcdStepper(lcdRow(page, "MODEL"), getConverterModel().name, () => step(-1), () => step(1));
+
+  let status = "CLEAN";
+  if (getConverterModel().id !== "off") {
+    status = !audioCtx || converterNode ? "ACTIVE" : "LOADING";
+  }
+  lcdText(lcdRow(page, "STATUS"), status);
+});
+
+// ============================================================
+// SEND EFFECTS — Tempo-Synced Delay + Reverb
+// Two send buses return into the master bus (ahead of the
+// converter and compressor).  Pads send from each voice (PAD
+// page); drum tracks send post-fader from their channel (DRUM
+// SENDS page), so mute / solo silence their sends too.  A slice
+// played by a drum track uses that track's sends, not its pad's.
+//   delay:  in → DelayNode ⇄ (tone low-pass → feedback) → return
+//   reverb: in → ConvolverNode (generated decaying noise) → return
+// The delay time is a straight note division at the current BPM.
+// Swing is not applied: in a feedback loop it would add up on
+// every repeat instead of following the groove.
+// ============================================================
+
+const DELAY_DIVISIONS = { "1/16": 0.25, "1/8T": 1 / 3, "1/8": 0.5, "3/16": 0.75, "1/4T": 2 / 3, "1/4": 1, "3/8": 1.5, "1/2": 2 }; // beats
+const DELAY_DIVISION_NAMES = Object.keys(DELAY_DIVISIONS);
+const DELAY_MAX_SECONDS = 6;        // 1/2 note at 20 BPM
+const DELAY_MAX_FEEDBACK = 90;      // %
+const FX_TONES = [800, 1200, 2000, 3000, 5000, 8000, 12000, 20000];  // Low-pass steps, Hz
+const REVERB_MIN_SIZE = 0.5;        // Decay to -60 dB, seconds
+const REVERB_MAX_SIZE = 6;
+const FX_SMOOTHING = 0.05;          // seconds, for live delay-time / level moves
+const FX_MIN_TEMPO_CHANGE = 0.005;  // External clock: ignore tempo moves below 0.5 % (jitter)
+
+function createFxParams() {
+  return {
+    delayDivision: "1/8",
+    delayFeedback: 35,   // %
+    delayTone: 3000,     // Hz, darkens every repeat
+    delayLevel: 80,      // return, 0 – 100
+    reverbSize: 2,       // seconds
+    reverbTone: 5000,    // Hz
+    reverbLevel: 80,     // return, 0 – 100
+  };
+}
+
+let fxParams = createFxParams();
+let reverbImpulse = null;   // { key, buffer } — rebuilt when the size, tone or sample rate change
+let fxTempo = 0;            // BPM the live delay time was last set for
+
+// ---- Delay time in seconds for the current division and tempo ----
+function getDelayTime() {
+  return Math.min(DELAY_MAX_SECONDS, (60 / bpm) * DELAY_DIVISIONS[fxParams.delayDivision]);
+}
+
+// ---- Stereo impulse response: low-passed noise with an exponential decay ----
+function getReverbImpulse(sampleRate) {
+  const key = [sampleRate, fxParams.reverbSize, fxParams.reverbTone].join("/");
+  if (reverbImpulse && reverbImpulse.key === key) return reverbImpulse.buffer;
+
+  const length = Math.ceil(fxParams.reverbSize * sampleRate);
+  const buffer = new AudioBuffer({ numberOfChannels: 2, length, sampleRate });
+  const smoothing = Math.exp((-2 * Math.PI * fxParams.reverbTone) / sampleRate);
+  const fadeIn = Math.round(0.005 * sampleRate);
+  for (let ch = 0; ch < 2; ch++) {
+    const data = buffer.getChannelData(ch);
+    let lp = 0;
+    for (let i = 0; i < length; i++) {
+      lp = (1 - smoothing) * (Math.random() * 2 - 1) + smoothing * lp;
+      const t = i / sampleRate;
+      data[i] = lp * Math.exp((-6.9 * t) / fxParams.reverbSize) * Math.min(1, i / fadeIn);
+    }
+  }
+  reverbImpulse = { key, buffer };
+  return buffer;
+}
+
+// ---- Build both send buses in `ctx`; returns go to `output` (null = unconnected) ----
+function createFxBuses(ctx, output) {
+  const fx = {
+    delayIn: ctx.createGain(),
+    delay: ctx.createDelay(DELAY_MAX_SECONDS),
+    delayTone: ctx.createBiquadFilter(),
+    delayFeedback: ctx.createGain(),
+    delayReturn: ctx.createGain(),
+    reverbIn: ctx.createGain(),
+    reverb: ctx.createConvolver(),
+    reverbReturn: ctx.createGain(),
+  };
+  fx.delayTone.type = "lowpass";
+  fx.delayIn.connect(fx.delay).connect(fx.delayTone);
+  fx.delayTone.connect(fx.delayFeedback).connect(fx.delay);
+  fx.delayTone.connect(fx.delayReturn);
+  fx.reverbIn.connect(fx.reverb).connect(fx.reverbReturn);
+  if (output) {
+    fx.delayReturn.connect(output);
+    fx.reverbReturn.connect(output);
+  }
+  applyFxParams(fx, ctx, false);
+  return fx;
+}
+
+// ---- Push fxParams (and the tempo) to a set of buses; `smooth` = live moves ----
+function applyFxParams(fx, ctx, smooth) {
+  const set = (param, value) => {
+    if (smooth) param.setTargetAtTime(value, ctx.currentTime, FX_SMOOTHING);
+    else param.value = value;
+  };
+  set(fx.delay.delayTime, getDelayTime());
+  set(fx.delayFeedback.gain, fxParams.delayFeedback / 100);
+  set(fx.delayTone.frequency, fxParams.delayTone);
+  set(fx.delayReturn.gain, fxParams.delayLevel / 100);
+  set(fx.reverbReturn.gain, fxParams.reverbLevel / 100);
+  const impulse = getReverbImpulse(ctx.sampleRate);
+  if (fx.reverb.buffer !== impulse) fx.reverb.buffer = impulse;
+}
+
+// ---- Tempo or an FX parameter changed: update the live buses ----
+function updateSendFx() {
+  if (fxBuses && !isBouncing) applyFxParams(fxBuses, audioCtx, true);
+  fxTempo = bpm;
+  refreshLcdPage("delay");
+}
+
+// ---- External clock tempo moved: update only on a real change, not per-clock jitter ----
+function scheduleSendFxUpdate() {
+  if (Math.abs(bpm / fxTempo - 1) < FX_MIN_TEMPO_CHANGE) return;
+  updateSendFx();
+}
+
+// ---- A voice's sends: node → gain → delay / reverb inputs (levels 0 – 100) ----
+function connectSends(node, delayLevel, reverbLevel) {
+  if (!fxBuses) return;
+  [[delayLevel, fxBuses.delayIn], [reverbLevel, fxBuses.reverbIn]].forEach(([level, input]) => {
+    if (!(level > 0)) return;
+    const send = audioCtx.createGain();
+    send.gain.value = level / 100;
+    node.connect(send).connect(input);
+  });
+}
+
+// ---- Undoable bus edit: mutate(fxParams), then apply ----
+function captureFxParams() {
+  return Object.assign({}, fxParams);
+}
+
+function restoreFxParams(state) {
+  fxParams = Object.assign({}, state);
+  updateSendFx();
+  refreshLcdPage("reverb");
+}
+
+function editFx(mutate) {
+  recordUndo("FX", captureFxParams, restoreFxParams, () => mutate(fxParams), true);
+  updateSendFx();
+}
+
+// ---- Saved FX settings → fxParams (missing / bad values keep the defaults) ----
+function sanitizeFxParams(saved) {
+  const fx = createFxParams();
+  if (!saved || typeof saved !== "object") return fx;
+  const num = (key, lo, hi) => {
+    if (typeof saved[key] === "number") fx[key] = Math.max(lo, Math.min(hi, saved[key]));
+  };
+  if (DELAY_DIVISION_NAMES.includes(saved.delayDivision)) fx.delayDivision = saved.delayDivision;
+  num("delayFeedback", 0, DELAY_MAX_FEEDBACK);
+  num("delayTone", FX_TONES[0], FX_TONES[FX_TONES.length - 1]);
+  num("delayLevel", 0, 100);
+  num("reverbSize", REVERB_MIN_SIZE, REVERB_MAX_SIZE);
+  num("reverbTone", FX_TONES[0], FX_TONES[FX_TONES.length - 1]);
+  num("reverbLevel", 0, 100);
+  return fx;
+}
+
+// ---- Neighbouring FX_TONES entry from the current cutoff ----
+function stepFxTone(hz, dir) {
+  const idx = FX_TONES.findIndex((t) => t >= hz);
+  const cur = idx === -1 ? FX_TONES.length - 1 : idx;
+  return FX_TONES[Math.max(0, Math.min(FX_TONES.length - 1, cur + dir))];
+}
+
+function formatHz(hz) {
+  return hz >= 1000 ? hz / 1000 + " KHZ" : hz + " HZ";
+}
+
+registerLcdPage("delay", "DELAY", (page) => {
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const divIdx = DELAY_DIVISION_NAMES.indexOf(fxParams.delayDivision);
+  lcdStepper(lcdRow(page, "TIME"), fxParams.delayDivision + " = " + Math.round(getDelayTime() * 1000) + " MS",
+    () => editFx((fx) => { fx.delayDivision = DELAY_DIVISION_NAMES[Math.max(0, divIdx - 1)]; }),
+    () => editFx((fx) => { fx.delayDivision = DELAY_DIVISION_NAMES[Math.min(DELAY_DIVISION_NAMES.length - 1, divIdx + 1)]; }));
+  lcdStepper(lcdRow(page, "FEEDBACK"), fxParams.delayFeedback + "%",
+    () => editFx((fx) => { fx.delayFeedback = clamp(fx.delayFeedback - 5, 0, DELAY_MAX_FEEDBACK); }),
+    () => editFx((fx) => { fx.delayFeedback = clamp(fx.delayFeedback + 5, 0, DELAY_MAX_FEEDBACK); }));
+  lcdStepper(lcdRow(page, "TONE"), formatHz(fxParams.delayTone),
+    () => editFx((fx) => { fx.delayTone = stepFxTone(fx.delayTone, -1); }),
+    () => editFx((fx) => { fx.delayTone = stepFxTone(fx.delayTone, 1); }));
+  lcdStepper(lcdRow(page, "RETURN"), String(fxParams.delayLevel),
+    () => editFx((fx) => { fx.delayLevel = clamp(fx.delayLevel - 5, 0, 100); }),
+    () => editFx((fx) => { fx.delayLevel = clamp(fx.delayLevel + 5, 0, 100); }));
+  lcdText(lcdRow(page, "SENDS"), "PAD PAGE / DRUM SENDS PAGE");
+});
+
+registerLcdPage("reverb", "REVERB", (page) => {
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  lcdStepper(lcdRow(page, "SIZE"), fxParams.reverbSize.toFixed(1) + " S",
+    () => editFx((fx) => { fx.reverbSize = clamp(fx.reverbSize - 0.5, REVERB_MIN_SIZE, REVERB_MAX_SIZE); }),
+    () => editFx((fx) => { fx.reverbSize = clamp(fx.reverbSize + 0.5, REVERB_MIN_SIZE, REVERB_MAX_SIZE); }));
+  lcdStepper(lcdRow(page, "TONE"), formatHz(fxParams.reverbTone),
+    () => editFx((fx) => { fx.reverbTone = stepFxTone(fx.reverbTone, -1); }),
+    () => editFx((fx) => { fx.reverbTone = stepFxTone(fx.reverbTone, 1); }));
+  lcdStepper(lcdRow(page, "RETURN"), String(fxParams.reverbLevel),
+    () => editFx((fx) => { fx.reverbLevel = clamp(fx.reverbLevel - 5, 0, 100); }),
+    () => editFx((fx) => { fx.reverbLevel = clamp(fx.reverbLevel + 5, 0, 100); }));
+  lcdText(lcdRow(page, "SENDS"), "PAD PAGE / DRUM SENDS PAGE");
+});
+
+// ============================================================
+// CENTRALIZED playSlice() — AUDIO ONLY + CHOKE GROUPS
+// Both manual pad clicks and sequencer triggers call this.
+// Pads are polyphonic; a pad in a choke group cuts every
+// sounding voice of the same group (e.g. open / closed hats).
+// Per-pad params (tune, level, pan, reverse, attack / decay)
+// shape each voice: source → env gain → panner → master.
+// @param {number} index      – pad / slice index (0-15)
+// @param {number} [atTime]   – Web Audio scheduled time (omit for "now")
+// @param {number} [velocity] – 1-127, scales the voice gain (default 127)
+// ============================================================
+
+// @param {number} [channel] – drum track to play through (mixer level / tune / pan);
+//                             omitted = straight to the master bus
+function playSlice(index, atTime, velocity = MAX_VELOCITY, channel = null) {
+  if (!decodedBuffer || index < 0 || index >= NUM_PADS) return;
+  ensureAudioContext();
+
+  const slice = regions[index];
+  if (!slice) return;
+
+  const t = atTime || audioCtx.currentTime;
+
+  // ---- Choke group: cut the other pads of this group ----
+  const group = padChokeGroup[index];
+  if (group > 0) {
+    activeVoices
+      .filter((v) => padChokeGroup[v.pad] === group)
+      .forEach((v) => stopVoice(v, t));
+  }
+
+  // ---- Voice limit: steal the oldest ----
+  while (activeVoices.length >= MAX_VOICES) {
+    stopVoice(activeVoices[0], t);
+  }
+
+  const params = slice.params;
 
   // ---- Create new source & gain ----
   const source = audioCtx.createBufferSource();
-  source.buffer = decodedBuffer;
-
+  const buffer = getSliceBuffer();
+  const stretch = buffer === decodedBuffer ? 1 : warpedStretch;
+  source.buffer = params.reverse ? getReversedBuffer() : buffer;
+  let rate = getPadPlaybackRate(index);
+  if (channel !== null) rate *= Math.pow(2, drumMix.pitch[channel] / 12);
+  source.playbackRate.value = rate;
+
+  const level = (velocity / MAX_VELOCITY) * (params.level / 100);
   const gainNode = audioCtx.createGain();
-  gainNode.gain.setValueAtTime(1, t);
 
-  source.connect(gainNode).connect(masterGainNode);
-  source.playbackRate.value = Math.pow(2, semitones / 12);
+  const panner = audioCtx.createStereoPanner();
+  panner.pan.value = params.pan / 50;
 
-  const offset = slice.start;
-  const duration = slice.end - slice.start;
+  source.connect(gainNode).connect(panner).connect(channel !== null ? drumGainNodes[channel] : masterGainNode);
+  // On a drum track the track's post-fader sends take over, so mute / solo hold
+  if (channel === null) connectSends(panner, params.delay, params.reverb);
+
+  // Reversed: the same region read from the end of the flipped buffer.
+  // Slice bounds are in decodedBuffer time; the warped copy is `stretch` longer.
+  const duration = (slice.end - slice.start) * stretch;
+  const offset = params.reverse ? buffer.duration - slice.end * stretch : slice.start * stretch;
   source.start(t, offset, duration);
 
-  // Track current source
-  currentSource = source;
-  currentGain = gainNode;
-  activePadIndex = index;
-
-  source.onended = () => {
-    if (currentSource === source) {
-      currentSource = null;
-      currentGain = null;
-      activePadIndex = -1;
-      padElements[index].classList.remove("active");
-    }
-  };
+  // ---- Attack / decay envelope (in real time, after pitch) ----
+  const attack = params.attack / 1000;
+  const decay = params.decay / 1000;
+  if (attack > 0) {
+    gainNode.gain.setValueAtTime(0, t);
+    gainNode.gain.linearRampToValueAtTime(level, t + attack);
+  } else {
+    gainNode.gain.setValueAtTime(level, t);
+  }
+  if (decay > 0 && attack + decay < duration / rate) {
+    gainNode.gain.setValueAtTime(level, t + attack);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, t + attack + decay);
+    source.stop(t + attack + decay + 0.01);
+  }
+
+  // Track the voice
+  const voice = { pad: index, source, gain: gainNode, level };
+  activeVoices.push(voice);
+
+  source.onended = () => releaseVoice(voice);
+}
+
+// ---- Forget a finished voice; un-light its pad once none of its voices remain ----
+function releaseVoice(voice) {
+  const idx = activeVoices.indexOf(voice);
+  if (idx === -1) return;
+  activeVoices.splice(idx, 1);
+  if (!activeVoices.some((v) => v.pad === voice.pad)) {
+    padElements[voice.pad].classList.remove("active");
+  }
 }
 
 // ============================================================
-// STOP CURRENT SOURCE (with tiny fade for de-click)
+// STOP VOICES (with tiny fade for de-click)
 // ============================================================
 
-function stopCurrent(atTime) {
-  if (currentSource && currentGain && audioCtx) {
+function stopVoice(voice, atTime) {
+  if (audioCtx) {
     try {
       const t = atTime || audioCtx.currentTime;
-      currentGain.gain.cancelScheduledValues(t);
-      currentGain.gain.setValueAtTime(1, t);
-      currentGain.gain.linearRampToValueAtTime(0, t + 0.005);
-      currentSource.stop(t + 0.006);
+      // Hold wherever the envelope is; fall back to the start level
+      if (voice.gain.gain.cancelAndHoldAtTime) {
+        voice.gain.gain.cancelAndHoldAtTime(t);
+      } else {
+        voice.gain.gain.cancelScheduledValues(t);
+        voice.gain.gain.setValueAtTime(voice.level, t);
+      }
+      voice.gain.gain.linearRampToValueAtTime(0, t + 0.005);
+      voice.source.stop(t + 0.006);
     } catch (_) {
       // source may already have stopped
     }
   }
-  currentSource = null;
-  currentGain = null;
+  releaseVoice(voice);
+}
+
+function stopAllVoices(atTime) {
+  activeVoices.slice().forEach((v) => stopVoice(v, atTime));
+}
+
+// ---- Pad released: GATE pads stop sounding ----
+function releasePad(index) {
+  const slice = regions[index];
+  if (!slice || slice.params.mode !== "gate") return;
+  activeVoices
+    .filter((v) => v.pad === index)
+    .forEach((v) => stopVoice(v));
+}
+
+// ---- Global pitch + the pad's coarse / fine tune ----
+function getPadPlaybackRate(index) {
+  const params = regions[index] ? regions[index].params : createPadParams();
+  return Math.pow(2, (semitones + params.tune + params.fine / 100) / 12);
+}
 
-  if (activePadIndex >= 0 && activePadIndex < NUM_PADS) {
-    padElements[activePadIndex].classList.remove("active");
+// ---- Slice buffer reversed, cached until the next sample load or re-warp ----
+function getReversedBuffer() {
+  if (reversedBuffer) return reversedBuffer;
+  const src = getSliceBuffer();
+  reversedBuffer = audioCtx.createBuffer(src.numberOfChannels, src.length, src.sampleRate);
+  for (let ch = 0; ch < src.numberOfChannels; ch++) {
+    const data = src.getChannelData(ch);
+    const out = reversedBuffer.getChannelData(ch);
+    for (let i = 0, j = data.length - 1; i < data.length; i++, j--) out[i] = data[j];
   }
-  activePadIndex = -1;
+  return reversedBuffer;
 }
 
 // ============================================================
@@ -679,8 +2167,8 @@ function playMetronomeTick(time, isDownbeat) {
 // ============================================================
 // DRUM SYNTHESIS — TR-808 Style
 // Web Audio API oscillators and noise for kick, snare, hihat,
-// and cymbal.  Routed through per-track gain nodes so each
-// track has independent volume.
+// cymbal, open hat, clap, rimshot and toms.  Routed through per-track gain and pan nodes
+// (see DRUM MIXER) so each track has its own channel.
 // ============================================================
 
 function getNoiseBuffer() {
@@ -692,7 +2180,7 @@ function getNoiseBuffer() {
   return noiseBuffer;
 }
 
-function synthKick(time, params, vol, pitchMult) {
+function synthKick(time, params, vol, pitchMult, out) {
   const osc = audioCtx.createOscillator();
   osc.type = "sine";
   osc.frequency.setValueAtTime(params.freq * pitchMult, time);
@@ -702,12 +2190,12 @@ function synthKick(time, params, vol, pitchMult) {
   const gain = audioCtx.createGain();
   gain.gain.setValueAtTime(vol * params.tone, time);
   gain.gain.exponentialRampToValueAtTime(0.001, time + params.decay);
-  osc.connect(gain).connect(drumGainNodes[0]);
+  osc.connect(gain).connect(out);
   osc.start(time);
   osc.stop(time + params.decay + 0.01);
 }
 
-function synthSnare(time, params, vol, pitchMult) {
+function synthSnare(time, params, vol, pitchMult, out) {
   // Tone body
   const osc = audioCtx.createOscillator();
   osc.type = "sine";
@@ -715,7 +2203,7 @@ function synthSnare(time, params, vol, pitchMult) {
   const oscGain = audioCtx.createGain();
   oscGain.gain.setValueAtTime(vol * params.tone, time);
   oscGain.gain.exponentialRampToValueAtTime(0.001, time + 0.1);
-  osc.connect(oscGain).connect(drumGainNodes[1]);
+  osc.connect(oscGain).connect(out);
   osc.start(time);
   osc.stop(time + 0.11);
 
@@ -728,12 +2216,12 @@ function synthSnare(time, params, vol, pitchMult) {
   const noiseGain = audioCtx.createGain();
   noiseGain.gain.setValueAtTime(vol, time);
   noiseGain.gain.exponentialRampToValueAtTime(0.001, time + params.noiseDecay);
-  noise.connect(filter).connect(noiseGain).connect(drumGainNodes[1]);
+  noise.connect(filter).connect(noiseGain).connect(out);
   noise.start(time);
   noise.stop(time + params.noiseDecay + 0.01);
 }
 
-function synthHiHat(time, params, vol, pitchMult) {
+function synthHiHat(time, params, vol, pitchMult, out) {
   const noise = audioCtx.createBufferSource();
   noise.buffer = getNoiseBuffer();
   const filter = audioCtx.createBiquadFilter();
@@ -743,12 +2231,12 @@ function synthHiHat(time, params, vol, pitchMult) {
   const gain = audioCtx.createGain();
   gain.gain.setValueAtTime(vol * 0.5, time);
   gain.gain.exponentialRampToValueAtTime(0.001, time + params.decay);
-  noise.connect(filter).connect(gain).connect(drumGainNodes[2]);
+  noise.connect(filter).connect(gain).connect(out);
   noise.start(time);
   noise.stop(time + params.decay + 0.01);
 }
 
-function synthCymbal(time, params, vol, pitchMult) {
+function synthCymbal(time, params, vol, pitchMult, out) {
   const noise = audioCtx.createBufferSource();
   noise.buffer = getNoiseBuffer();
   const filter = audioCtx.createBiquadFilter();
@@ -758,24 +2246,435 @@ function synthCymbal(time, params, vol, pitchMult) {
   const gain = audioCtx.createGain();
   gain.gain.setValueAtTime(vol * 0.4, time);
   gain.gain.exponentialRampToValueAtTime(0.001, time + params.decay);
-  noise.connect(filter).connect(gain).connect(drumGainNodes[3]);
+  noise.connect(filter).connect(gain).connect(out);
+  noise.start(time);
+  noise.stop(time + params.decay + 0.01);
+}
+
+// Open hat: the closed-hat noise with a long tail.  Each hit is kept in
+// openHatVoices so a closed hat (or the next open hat) can choke it.
+function synthOpenHat(time, params, vol, pitchMult, out) {
+  chokeOpenHats(time);
+  const noise = audioCtx.createBufferSource();
+  noise.buffer = getNoiseBuffer();
+  const filter = audioCtx.createBiquadFilter();
+  filter.type = "highpass";
+  filter.frequency.value = params.filterFreq * pitchMult;
+  filter.Q.value = params.q;
+  const gain = audioCtx.createGain();
+  gain.gain.setValueAtTime(vol * 0.45, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + params.decay);
+  noise.connect(filter).connect(gain).connect(out);
   noise.start(time);
   noise.stop(time + params.decay + 0.01);
+  openHatVoices.push({ source: noise, gain, level: vol * 0.45, start: time, end: time + params.decay });
+}
+
+// ---- Cut every open hat already sounding at `time` (hats scheduled later are kept) ----
+function chokeOpenHats(time) {
+  openHatVoices = openHatVoices.filter((voice) => {
+    if (voice.end <= time) return false;
+    if (voice.start >= time) return true;
+    // Hold wherever the decay is; without cancelAndHold, work it out
+    if (voice.gain.gain.cancelAndHoldAtTime) {
+      voice.gain.gain.cancelAndHoldAtTime(time);
+    } else {
+      const level = Math.max(voice.level, 0.001);
+      const held = level * Math.pow(0.001 / level, (time - voice.start) / (voice.end - voice.start));
+      voice.gain.gain.cancelScheduledValues(time);
+      voice.gain.gain.setValueAtTime(held, time);
+    }
+    voice.gain.gain.linearRampToValueAtTime(0, time + 0.005);
+    voice.source.stop(time + 0.01);
+    return false;
+  });
+}
+
+// Hand clap: a few quick noise bursts `spread` seconds apart, then the tail
+const CLAP_BURSTS = 3;
+
+function synthClap(time, params, vol, pitchMult, out) {
+  const noise = audioCtx.createBufferSource();
+  noise.buffer = getNoiseBuffer();
+  const filter = audioCtx.createBiquadFilter();
+  filter.type = "bandpass";
+  filter.frequency.value = params.filterFreq * pitchMult;
+  filter.Q.value = 1.5;
+  const gain = audioCtx.createGain();
+  for (let i = 0; i < CLAP_BURSTS; i++) {
+    const t = time + i * params.spread;
+    gain.gain.setValueAtTime(vol * 0.8, t);
+    gain.gain.exponentialRampToValueAtTime(vol * 0.1, t + params.spread * 0.9);
+  }
+  const tail = time + CLAP_BURSTS * params.spread;
+  gain.gain.setValueAtTime(vol * 0.8, tail);
+  gain.gain.exponentialRampToValueAtTime(0.001, tail + params.decay);
+  noise.connect(filter).connect(gain).connect(out);
+  noise.start(time);
+  noise.stop(tail + params.decay + 0.01);
+}
+
+// Rimshot: two detuned tones through a high-pass plus a noise click (tone = click level)
+function synthRimshot(time, params, vol, pitchMult, out) {
+  const hp = audioCtx.createBiquadFilter();
+  hp.type = "highpass";
+  hp.frequency.value = 300;
+  const gain = audioCtx.createGain();
+  gain.gain.setValueAtTime(vol * 0.6, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + params.decay);
+  hp.connect(gain).connect(out);
+  [1, 0.27].forEach((ratio) => {
+    const osc = audioCtx.createOscillator();
+    osc.type = "triangle";
+    osc.frequency.value = params.freq * ratio * pitchMult;
+    osc.connect(hp);
+    osc.start(time);
+    osc.stop(time + params.decay + 0.01);
+  });
+
+  const click = audioCtx.createBufferSource();
+  click.buffer = getNoiseBuffer();
+  const clickGain = audioCtx.createGain();
+  clickGain.gain.setValueAtTime(vol * params.tone, time);
+  clickGain.gain.exponentialRampToValueAtTime(0.001, time + 0.008);
+  click.connect(clickGain).connect(hp);
+  click.start(time);
+  click.stop(time + 0.01);
+}
+
+// Tom: sine with a gentle pitch drop over its decay (low / mid / high share this voice)
+function synthTom(time, params, vol, pitchMult, out) {
+  const osc = audioCtx.createOscillator();
+  osc.type = "sine";
+  osc.frequency.setValueAtTime(params.freq * pitchMult, time);
+  osc.frequency.exponentialRampToValueAtTime(params.freq * 0.7 * pitchMult, time + params.decay);
+  const gain = audioCtx.createGain();
+  gain.gain.setValueAtTime(vol * params.tone, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + params.decay);
+  osc.connect(gain).connect(out);
+  osc.start(time);
+  osc.stop(time + params.decay + 0.01);
 }
 
-function playDrumSound(trackIndex, time) {
+const DRUM_SYNTHS = {
+  kick: synthKick,
+  snare: synthSnare,
+  hihat: synthHiHat,
+  cymbal: synthCymbal,
+  openhat: synthOpenHat,
+  clap: synthClap,
+  rimshot: synthRimshot,
+  tomLow: synthTom,
+  tomMid: synthTom,
+  tomHigh: synthTom,
+};
+
+// @param {number} [level] – step level multiplier (1 = normal step, >1 = accent)
+// A track switched to a slice source plays that slice through the track channel.
+function playDrumSound(trackIndex, time, level = 1) {
   ensureAudioContext();
-  const bank = DRUM_BANKS[currentDrumBank];
-  const vol = drumTrackVol[trackIndex] / 100;
-  const pitchMult = Math.pow(2, drumTrackPitch[trackIndex] / 12);
-  switch (trackIndex) {
-    case 0: synthKick(time, bank.kick, vol, pitchMult); break;
-    case 1: synthSnare(time, bank.snare, vol, pitchMult); break;
-    case 2: synthHiHat(time, bank.hihat, vol, pitchMult); break;
-    case 3: synthCymbal(time, bank.cymbal, vol, pitchMult); break;
+  if (trackSlice[trackIndex] !== null) {
+    // Level 1 (a normal step) = the pad's full level, as a synth voice plays at the track level
+    const velocity = Math.max(1, Math.min(MAX_VELOCITY, Math.round(MAX_VELOCITY * level)));
+    playSlice(trackSlice[trackIndex], time, velocity, trackIndex);
+    return;
+  }
+  synthDrumVoice(trackIndex, time, level);
+}
+
+function synthDrumVoice(trackIndex, time, level) {
+  const bank = drumBanks[currentDrumBank];
+  const vol = (drumMix.vol[trackIndex] / 100) * level;
+  const pitchMult = Math.pow(2, drumMix.pitch[trackIndex] / 12);
+  const voice = DRUM_VOICES[trackIndex];
+  // Closed hat chokes the open hat
+  if (voice === "hihat") chokeOpenHats(time);
+  DRUM_SYNTHS[voice](time, bank[voice], vol, pitchMult, drumGainNodes[trackIndex]);
+}
+
+// ============================================================
+// DRUM MIXER
+// Level, tune, pan, mute and solo for each TR track, stored
+// with the pattern.  Level, pan, mute and solo move the track
+// channel nodes immediately so changes are heard while the
+// pattern plays; tune applies from the next hit.
+// ============================================================
+
+const DRUM_MIX_SMOOTHING = 0.01;   // seconds, avoids zipper noise on live moves
+
+function createDrumMix() {
+  return {
+    vol: new Array(DRUM_TRACKS).fill(80),    // 0 – 100
+    pitch: new Array(DRUM_TRACKS).fill(0),   // semitones, -12 – +12
+    pan: new Array(DRUM_TRACKS).fill(0),     // -50 (L) – +50 (R)
+    mute: new Array(DRUM_TRACKS).fill(false),
+    solo: new Array(DRUM_TRACKS).fill(false),
+    delay: new Array(DRUM_TRACKS).fill(0),   // send, 0 – 100
+    reverb: new Array(DRUM_TRACKS).fill(0),  // send, 0 – 100
+  };
+}
+
+// ---- Channel gain after mute / solo (any solo silences the unsoloed tracks) ----
+function drumTrackGain(tr) {
+  const anySolo = drumMix.solo.some(Boolean);
+  if (drumMix.mute[tr] || (anySolo && !drumMix.solo[tr])) return 0;
+  return drumMix.vol[tr] / 100;
+}
+
+// ---- Push the mixer state to the live channel nodes and track rows ----
+function applyDrumMix() {
+  for (let tr = 0; tr < DRUM_TRACKS; tr++) {
+    if (drumGainNodes[tr] && !isBouncing) {
+      const now = audioCtx.currentTime;
+      drumGainNodes[tr].gain.setTargetAtTime(drumTrackGain(tr), now, DRUM_MIX_SMOOTHING);
+      drumPanNodes[tr].pan.setTargetAtTime(drumMix.pan[tr] / 50, now, DRUM_MIX_SMOOTHING);
+      drumSendNodes[tr].delay.gain.setTargetAtTime(drumMix.delay[tr] / 100, now, DRUM_MIX_SMOOTHING);
+      drumSendNodes[tr].reverb.gain.setTargetAtTime(drumMix.reverb[tr] / 100, now, DRUM_MIX_SMOOTHING);
+    }
+    const row = stepSeqContainer.children[tr];
+    if (row) row.classList.toggle("muted", drumTrackGain(tr) === 0);
+  }
+  refreshLcdPage("mixer");
+  refreshLcdPage("sends");
+}
+
+// ---- Undoable mixer edit: mutate(drumMix), then apply ----
+function captureDrumMix() {
+  return { pattern: currentPattern, mix: JSON.parse(JSON.stringify(drumMix)) };
+}
+
+function restoreDrumMix(state) {
+  Object.assign(patterns[state.pattern].drumMix, JSON.parse(JSON.stringify(state.mix)));
+  applyDrumMix();
+}
+
+function editDrumMix(mutate) {
+  recordUndo("MIX", captureDrumMix, restoreDrumMix, () => mutate(drumMix), "P" + currentPattern);
+  applyDrumMix();
+}
+
+registerLcdPage("mixer", "DRUM MIXER", (page) => {
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  lcdText(lcdRow(page, "TRACK"), "LEVEL / TUNE / PAN / MUTE / SOLO");
+
+  for (let tr = 0; tr < drumTrackCount; tr++) {
+    const row = lcdRow(page, trackLabel(tr));
+    lcdStepper(row, String(drumMix.vol[tr]),
+      () => editDrumMix((mix) => { mix.vol[tr] = clamp(mix.vol[tr] - 5, 0, 100); }),
+      () => editDrumMix((mix) => { mix.vol[tr] = clamp(mix.vol[tr] + 5, 0, 100); }));
+    lcdStepper(row, formatSigned(drumMix.pitch[tr]) + " ST",
+      () => editDrumMix((mix) => { mix.pitch[tr] = clamp(mix.pitch[tr] - 1, -12, 12); }),
+      () => editDrumMix((mix) => { mix.pitch[tr] = clamp(mix.pitch[tr] + 1, -12, 12); }));
+    lcdStepper(row, formatPan(drumMix.pan[tr]),
+      () => editDrumMix((mix) => { mix.pan[tr] = clamp(mix.pan[tr] - 10, -50, 50); }),
+      () => editDrumMix((mix) => { mix.pan[tr] = clamp(mix.pan[tr] + 10, -50, 50); }));
+    lcdButton(row, "M", () => editDrumMix((mix) => { mix.mute[tr] = !mix.mute[tr]; }), "Mute")
+      .classList.toggle("selected", drumMix.mute[tr]);
+    lcdButton(row, "S", () => editDrumMix((mix) => { mix.solo[tr] = !mix.solo[tr]; }), "Solo")
+      .classList.toggle("selected", drumMix.solo[tr]);
+  }
+});
+
+// ---- Post-fader delay / reverb sends per drum track (see SEND EFFECTS) ----
+registerLcdPage("sends", "DRUM SENDS", (page) => {
+  const clamp = (v) => Math.max(0, Math.min(100, v));
+  lcdText(lcdRow(page, "TRACK"), "DELAY / REVERB");
+
+  for (let tr = 0; tr < drumTrackCount; tr++) {
+    const row = lcdRow(page, trackLabel(tr));
+    lcdStepper(row, String(drumMix.delay[tr]),
+      () => editDrumMix((mix) => { mix.delay[tr] = clamp(mix.delay[tr] - 5); }),
+      () => editDrumMix((mix) => { mix.delay[tr] = clamp(mix.delay[tr] + 5); }));
+    lcdStepper(row, String(drumMix.reverb[tr]),
+      () => editDrumMix((mix) => { mix.reverb[tr] = clamp(mix.reverb[tr] - 5); }),
+      () => editDrumMix((mix) => { mix.reverb[tr] = clamp(mix.reverb[tr] + 5); }));
+  }
+});
+
+// ============================================================
+// DRUM TRACK LENGTH / RATE / SOURCE
+// Each track loops over its own number of steps (1–32) at its
+// own rate (1/8, 1/16, 1/16 triplet, 1/32) — see scheduleNote.
+// Steps 17–32 are edited on the second page of the grid.
+// SOURCE switches a track from its synth voice to a sample
+// slice, so chops can be programmed on the grid.
+// ============================================================
+
+// Row name: the synth voice, or the pad a slice track plays
+function trackLabel(tr) {
+  return trackSlice[tr] === null ? TRACK_NAMES[tr] : "P" + String(trackSlice[tr] + 1).padStart(2, "0");
+}
+
+// SYNTH → PAD 1 … PAD 16 (dir = ±1)
+function stepTrackSource(tr, dir) {
+  const pos = (trackSlice[tr] === null ? -1 : trackSlice[tr]) + dir;
+  trackSlice[tr] = pos < 0 ? null : Math.min(NUM_PADS - 1, pos);
+}
+
+function captureTrackLayout() {
+  return { pattern: currentPattern, steps: trackSteps.slice(), rate: trackRate.slice(), slice: trackSlice.slice() };
+}
+
+function restoreTrackLayout(state) {
+  const pattern = patterns[state.pattern];
+  state.steps.forEach((v, tr) => { pattern.trackSteps[tr] = v; });
+  state.rate.forEach((v, tr) => { pattern.trackRate[tr] = v; });
+  state.slice.forEach((v, tr) => { pattern.trackSlice[tr] = v; });
+  syncStepSequencer();
+  refreshLcdPage("tracks");
+}
+
+function editTrackLayout(mutate) {
+  recordUndo("TRACK", captureTrackLayout, restoreTrackLayout, mutate, "P" + currentPattern);
+  syncStepSequencer();
+}
+
+// ---- Number of drum tracks in use (rows beyond it are hidden and silent) ----
+function setDrumTrackCount(count) {
+  drumTrackCount = Math.max(MIN_DRUM_TRACKS, Math.min(DRUM_TRACKS, count));
+  Array.from(stepSeqContainer.children).forEach((row, tr) => {
+    row.style.display = tr < drumTrackCount ? "" : "none";
+  });
+  stepSeqContainer.classList.toggle("compact", drumTrackCount > MIN_DRUM_TRACKS);
+  stepEditTrack = Math.min(stepEditTrack, drumTrackCount - 1);
+  refreshLcdPage("tracks");
+  refreshLcdPage("mixer");
+  refreshLcdPage("step");
+}
+
+function setSeqStepPage(page) {
+  seqStepPage = Math.max(0, Math.min(MAX_TRACK_STEPS / SEQ_STEPS - 1, page));
+  syncStepSequencer();
+}
+
+registerLcdPage("tracks", "DRUM TRACKS", (page) => {
+  lcdStepper(lcdRow(page, "GRID PAGE"),
+    (seqStepPage * SEQ_STEPS + 1) + "-" + (seqStepPage + 1) * SEQ_STEPS,
+    () => setSeqStepPage(seqStepPage - 1),
+    () => setSeqStepPage(seqStepPage + 1));
+  lcdStepper(lcdRow(page, "TRACKS"), drumTrackCount + " (KCK-" + TRACK_NAMES[drumTrackCount - 1] + ")",
+    () => changeSetting("TRACKS", () => setDrumTrackCount(drumTrackCount - 1)),
+    () => changeSetting("TRACKS", () => setDrumTrackCount(drumTrackCount + 1)));
+  lcdText(lcdRow(page, "TRACK"), "LENGTH / RATE / SOURCE");
+
+  for (let tr = 0; tr < drumTrackCount; tr++) {
+    const row = lcdRow(page, TRACK_NAMES[tr]);
+    lcdStepper(row, trackSteps[tr] + " STEPS",
+      () => editTrackLayout(() => { trackSteps[tr] = Math.max(1, trackSteps[tr] - 1); }),
+      () => editTrackLayout(() => { trackSteps[tr] = Math.min(MAX_TRACK_STEPS, trackSteps[tr] + 1); }));
+    const rateIdx = DRUM_RATE_NAMES.indexOf(trackRate[tr]);
+    lcdStepper(row, trackRate[tr],
+      () => editTrackLayout(() => { trackRate[tr] = DRUM_RATE_NAMES[Math.max(0, rateIdx - 1)]; }),
+      () => editTrackLayout(() => {
+        trackRate[tr] = DRUM_RATE_NAMES[Math.min(DRUM_RATE_NAMES.length - 1, rateIdx + 1)];
+      }));
+    lcdStepper(row, trackSlice[tr] === null ? "SYNTH" : "PAD " + (trackSlice[tr] + 1),
+      () => editTrackLayout(() => stepTrackSource(tr, -1)),
+      () => editTrackLayout(() => stepTrackSource(tr, 1)));
+  }
+});
+
+// ============================================================
+// DRUM STEP PARAMETERS
+// Every active drum step carries a velocity (accent), a
+// trigger probability, a ratchet count (1 = single hit,
+// 2–4 = evenly spaced retriggers inside the step) and a
+// timing nudge as a percentage of the step length.
+// Right-click a step to toggle accent; Alt+click to edit it
+// on the DRUM STEP page.
+// ============================================================
+
+const DRUM_STEP_VELOCITY = 100;   // Normal step (plays at the track level)
+const ACCENT_VELOCITY = 127;      // Accented step
+const MAX_RATCHET = 4;
+const MAX_NUDGE = 50;             // ± percent of the step length
+
+let stepEditTrack = 0;
+let stepEditIndex = 0;
+
+function createDrumStep() {
+  return { vel: DRUM_STEP_VELOCITY, prob: 100, ratchet: 1, nudge: 0 };
+}
+
+function createDrumGrid() {
+  return Array.from({ length: DRUM_TRACKS }, () => new Array(MAX_TRACK_STEPS).fill(null));
+}
+
+function cloneDrumGrid(grid) {
+  return grid.map((row) => row.map((step) => step && Object.assign({}, step)));
+}
+
+// Anything besides velocity changed from a plain step (shown on the step LED)
+function isDrumStepEdited(step) {
+  return step.prob < 100 || step.ratchet > 1 || step.nudge !== 0;
+}
+
+// ---- Play one drum step at its nudged start: probability, ratchets ----
+// The nudge is already in `time` (scheduleNote fires a step on the tick its
+// nudged start falls in, so early nudges stay inside the look-ahead).
+// @param {number} stepDur – length of the track's step in seconds
+function scheduleDrumStep(tr, step, time, stepDur) {
+  if (step.prob < 100 && Math.random() * 100 >= step.prob) return;
+  const level = step.vel / DRUM_STEP_VELOCITY;
+  for (let r = 0; r < step.ratchet; r++) {
+    playDrumSound(tr, time + (r * stepDur) / step.ratchet, level);
   }
 }
 
+// ---- DRUM STEP page ----
+function editDrumStepAt(tr, index) {
+  stepEditTrack = tr;
+  stepEditIndex = index;
+  if (isLcdPageOpen("step")) renderLcdPage();
+  else openLcdPage("step");
+  syncStepSequencer();
+}
+
+// Undoable edit of the step under the cursor (turned on if it was off)
+function editDrumStep(mutate) {
+  const tr = stepEditTrack;
+  const idx = stepEditIndex;
+  recordUndo("STEP", () => captureDrumStep(tr, idx), restoreDrumStep, () => {
+    const step = drumPattern[tr][idx] || createDrumStep();
+    mutate(step);
+    drumPattern[tr][idx] = step;
+  });
+  syncStepSequencer();
+}
+
+registerLcdPage("step", "DRUM STEP", (page) => {
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const posRow = lcdRow(page, "TRACK / STEP");
+  lcdStepper(posRow, trackLabel(stepEditTrack),
+    () => { stepEditTrack = Math.max(0, stepEditTrack - 1); syncStepSequencer(); },
+    () => { stepEditTrack = Math.min(drumTrackCount - 1, stepEditTrack + 1); syncStepSequencer(); });
+  lcdStepper(posRow, String(stepEditIndex + 1),
+    () => { stepEditIndex = Math.max(0, stepEditIndex - 1); syncStepSequencer(); },
+    () => { stepEditIndex = Math.min(MAX_TRACK_STEPS - 1, stepEditIndex + 1); syncStepSequencer(); });
+  if (stepEditIndex >= trackSteps[stepEditTrack]) lcdText(posRow, "BEYOND LENGTH");
+
+  const step = drumPattern[stepEditTrack][stepEditIndex];
+  const toggle = () => recordUndo("STEP", () => captureDrumStep(stepEditTrack, stepEditIndex), restoreDrumStep, () => {
+    drumPattern[stepEditTrack][stepEditIndex] = step ? null : createDrumStep();
+  });
+  lcdStepper(lcdRow(page, "STEP"), step ? "ON" : "OFF",
+    () => { toggle(); syncStepSequencer(); }, () => { toggle(); syncStepSequencer(); });
+  if (!step) return;
+
+  lcdStepper(lcdRow(page, "VELOCITY"), step.vel >= ACCENT_VELOCITY ? "ACCENT" : String(step.vel),
+    () => editDrumStep((st) => { st.vel = clamp(st.vel - 9, 1, ACCENT_VELOCITY); }),
+    () => editDrumStep((st) => { st.vel = clamp(st.vel + 9, 1, ACCENT_VELOCITY); }));
+  lcdStepper(lcdRow(page, "PROBABILITY"), step.prob + "%",
+    () => editDrumStep((st) => { st.prob = clamp(st.prob - 5, 5, 100); }),
+    () => editDrumStep((st) => { st.prob = clamp(st.prob + 5, 5, 100); }));
+  lcdStepper(lcdRow(page, "RATCHET"), step.ratchet > 1 ? "X" + step.ratchet : "OFF",
+    () => editDrumStep((st) => { st.ratchet = clamp(st.ratchet - 1, 1, MAX_RATCHET); }),
+    () => editDrumStep((st) => { st.ratchet = clamp(st.ratchet + 1, 1, MAX_RATCHET); }));
+  lcdStepper(lcdRow(page, "NUDGE"), formatSigned(step.nudge) + "%",
+    () => editDrumStep((st) => { st.nudge = clamp(st.nudge - 5, -MAX_NUDGE, MAX_NUDGE); }),
+    () => editDrumStep((st) => { st.nudge = clamp(st.nudge + 5, -MAX_NUDGE, MAX_NUDGE); }));
+});
+
 // ============================================================
 // PAD HIGHLIGHT (visual only)
 // ============================================================
@@ -831,94 +2730,430 @@ function highlightSlice(index) {
 }
 
 // ============================================================
-// TRIGGER PAD — called by user interaction (click / keyboard)
+// TRIGGER PAD — called by user interaction (click / keyboard / MIDI)
 // Plays the slice + records if recording.
+// @param {number} index      – pad index (0-15)
+// @param {number} [velocity] – 1-127 (ignored while FULL LEVEL is on)
 // ============================================================
 
-function triggerPad(index) {
+function triggerPad(index, velocity = MAX_VELOCITY) {
   if (!decodedBuffer || index < 0 || index >= NUM_PADS) return;
 
-  playSlice(index);
+  const vel = fullLevel ? MAX_VELOCITY : velocity;
+  padHeldVelocity[index] = vel;
+
+  // Hitting a pad while the PAD page is open selects it for editing
+  if (isLcdPageOpen("pad") && padEditIndex !== index) {
+    padEditIndex = index;
+    renderLcdPage();
+  }
+
+  playSlice(index, undefined, vel);
   highlightPad(index);
   highlightSlice(index);
 
   // If recording + playing, capture event
   if (isRecording && isPlaying) {
-    recordEvent(index);
+    recordEvent(index, vel);
   }
 }
 
+// ---- FULL LEVEL toggle (VELOCITY page) ----
+function setFullLevel(enabled) {
+  fullLevel = enabled;
+  if (fullLevel) padHeldVelocity.fill(MAX_VELOCITY);
+}
+
 // ============================================================
-// PITCH — Digital +/- Buttons (inside LCD)
-// Range: -12 to +12 semitones, step 1
+// PAD PAGE — Per-Pad Settings
+// Pick a pad with the stepper (or by hitting it while the page
+// is open), then edit its choke group and sound parameters.
+// Sound parameters live on the pad's region (regions[i].params)
+// and are saved with it in projects.
 // ============================================================
 
-function updatePitch(newVal) {
-  semitones = Math.max(-12, Math.min(12, newVal));
-  const sign = semitones > 0 ? "+" : "";
-  pitchValueEl.textContent = `PITCH: ${sign}${semitones} ST`;
+let padEditIndex = 0;
 
-  if (currentSource) {
-    try {
-      currentSource.playbackRate.value = Math.pow(2, semitones / 12);
-    } catch (_) { }
-  }
+const PAD_ENV_TIMES = [0, 5, 10, 20, 50, 100, 200, 300, 500, 1000, 2000]; // ms
+
+// Step a value through PAD_ENV_TIMES (snaps to the nearest entry first)
+function stepEnvTime(current, dir) {
+  let idx = 0;
+  PAD_ENV_TIMES.forEach((v, i) => {
+    if (Math.abs(v - current) < Math.abs(PAD_ENV_TIMES[idx] - current)) idx = i;
+  });
+  return PAD_ENV_TIMES[Math.max(0, Math.min(PAD_ENV_TIMES.length - 1, idx + dir))];
 }
 
-pitchDec.addEventListener("click", () => updatePitch(semitones - 1));
-pitchInc.addEventListener("click", () => updatePitch(semitones + 1));
+function formatSigned(value) {
+  return (value > 0 ? "+" : "") + value;
+}
 
-// ============================================================
-// BUMP — Digital +/- Buttons (inside LCD)
-// Controls the DynamicsCompressorNode threshold.
-// Range: 0 (off) to 60 (max squeeze), step 3 dB.
-// ============================================================
+function formatPan(pan) {
+  if (pan === 0) return "C";
+  return (pan < 0 ? "L" : "R") + Math.abs(pan);
+}
 
-function updateBump(newVal) {
-  bumpAmount = Math.max(0, Math.min(60, newVal));
-  bumpValueEl.textContent = bumpAmount === 0 ? "BUMP: OFF" : `BUMP: -${bumpAmount} dB`;
+// ---- Undoable pad edits: sound params of one slice, choke groups of all pads ----
+function capturePadParams(index) {
+  const slice = regions[index];
+  return { index, params: slice ? Object.assign({}, slice.params) : null };
+}
 
-  if (compressorNode) {
-    compressorNode.threshold.setValueAtTime(-bumpAmount, audioCtx.currentTime);
-  }
+function restorePadParams(state) {
+  const slice = regions[state.index];
+  if (slice && state.params) Object.assign(slice.params, state.params);
+  refreshLcdPage("pad");
 }
 
-bumpDec.addEventListener("click", () => updateBump(bumpAmount - 3));
-bumpInc.addEventListener("click", () => updateBump(bumpAmount + 3));
+function captureChokeGroups() {
+  return padChokeGroup.slice();
+}
 
-// ============================================================
-// BPM CONTROLS
-// ============================================================
+function restoreChokeGroups(groups) {
+  padChokeGroup = groups.slice();
+  refreshLcdPage("pad");
+}
 
-function setBpm(val) {
-  bpm = Math.max(60, Math.min(90, Math.round(Number(val) || 70)));
-  bpmInput.value = bpm;
+// Edit one parameter of the selected pad (ignored until a sample is sliced)
+function editPadParam(key, update) {
+  const index = padEditIndex;
+  const slice = regions[index];
+  if (!slice) return;
+  recordUndo("PAD", () => capturePadParams(index), restorePadParams, () => {
+    slice.params[key] = update(slice.params[key]);
+  }, "P" + index);
+}
+
+function setChokeGroup(index, group) {
+  recordUndo("CHOKE", captureChokeGroups, restoreChokeGroups, () => {
+    padChokeGroup[index] = Math.max(0, Math.min(CHOKE_GROUPS, group));
+  }, true);
+}
+
+registerLcdPage("pad", "PAD", (page) => {
+  lcdStepper(lcdRow(page, "PAD"), String(padEditIndex + 1),
+    () => { padEditIndex = Math.max(0, padEditIndex - 1); },
+    () => { padEditIndex = Math.min(NUM_PADS - 1, padEditIndex + 1); });
+
+  const group = padChokeGroup[padEditIndex];
+  const chokeRow = lcdRow(page, "CHOKE GROUP");
+  lcdStepper(chokeRow, group > 0 ? String(group) : "OFF",
+    () => setChokeGroup(padEditIndex, group - 1),
+    () => setChokeGroup(padEditIndex, group + 1));
+  if (group > 0) {
+    const members = [];
+    padChokeGroup.forEach((g, i) => { if (g === group) members.push(i + 1); });
+    lcdText(chokeRow, "PADS " + members.join(" "));
+  } else {
+    lcdText(chokeRow, "POLY");
+  }
+
+  const slice = regions[padEditIndex];
+  if (!slice) {
+    lcdText(lcdRow(page, ""), "LOAD A SAMPLE TO EDIT PAD SOUND");
+    return;
+  }
+  const params = slice.params;
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+  const tuneRow = lcdRow(page, "TUNE / FINE");
+  lcdStepper(tuneRow, formatSigned(params.tune) + " ST",
+    () => editPadParam("tune", (v) => clamp(v - 1, -24, 24)),
+    () => editPadParam("tune", (v) => clamp(v + 1, -24, 24)));
+  lcdStepper(tuneRow, formatSigned(params.fine) + " CT",
+    () => editPadParam("fine", (v) => clamp(v - 5, -50, 50)),
+    () => editPadParam("fine", (v) => clamp(v + 5, -50, 50)));
+
+  const mixRow = lcdRow(page, "LEVEL / PAN");
+  lcdStepper(mixRow, String(params.level),
+    () => editPadParam("level", (v) => clamp(v - 5, 0, 100)),
+    () => editPadParam("level", (v) => clamp(v + 5, 0, 100)));
+  lcdStepper(mixRow, formatPan(params.pan),
+    () => editPadParam("pan", (v) => clamp(v - 5, -50, 50)),
+    () => editPadParam("pan", (v) => clamp(v + 5, -50, 50)));
+
+  const envRow = lcdRow(page, "ATTACK / DECAY");
+  lcdStepper(envRow, params.attack + " MS",
+    () => editPadParam("attack", (v) => stepEnvTime(v, -1)),
+    () => editPadParam("attack", (v) => stepEnvTime(v, 1)));
+  lcdStepper(envRow, params.decay > 0 ? params.decay + " MS" : "OFF",
+    () => editPadParam("decay", (v) => stepEnvTime(v, -1)),
+    () => editPadParam("decay", (v) => stepEnvTime(v, 1)));
+
+  const playRow = lcdRow(page, "MODE / DIR");
+  lcdStepper(playRow, params.mode === "gate" ? "GATE" : "ONE-SHOT",
+    () => editPadParam("mode", () => "oneshot"),
+    () => editPadParam("mode", () => "gate"));
+  lcdStepper(playRow, params.reverse ? "REV" : "FWD",
+    () => editPadParam("reverse", () => false),
+    () => editPadParam("reverse", () => true));
+
+  const sendRow = lcdRow(page, "DLY / REV SEND");
+  lcdStepper(sendRow, String(params.delay),
+    () => editPadParam("delay", (v) => clamp(v - 5, 0, 100)),
+    () => editPadParam("delay", (v) => clamp(v + 5, 0, 100)));
+  lcdStepper(sendRow, String(params.reverb),
+    () => editPadParam("reverb", (v) => clamp(v - 5, 0, 100)),
+    () => editPadParam("reverb", (v) => clamp(v + 5, 0, 100)));
+});
+
+registerLcdPage("velocity", "VELOCITY", (page) => {
+  lcdStepper(lcdRow(page, "FULL LEVEL"), fullLevel ? "ON" : "OFF",
+    () => setFullLevel(false),
+    () => setFullLevel(true));
+  lcdText(lcdRow(page, "PADS"), fullLevel
+    ? "EVERY HIT AT 127"
+    : "PEN / TOUCH PRESSURE, ELSE HIT HEIGHT (TOP = LOUD)");
+  lcdText(lcdRow(page, "MIDI"), fullLevel ? "NOTE VELOCITY IGNORED" : "NOTE VELOCITY");
+});
+
+// ============================================================
+// PITCH — Digital +/- Buttons (inside LCD)
+// Range: -12 to +12 semitones, step 1
+// ============================================================
+
+function updatePitch(newVal) {
+  semitones = Math.max(-12, Math.min(12, newVal));
+  const sign = semitones > 0 ? "+" : "";
+  pitchValueEl.textContent = `PITCH: ${sign}${semitones} ST`;
+  scheduleWarpUpdate();
+
+  activeVoices.forEach((v) => {
+    try {
+      v.source.playbackRate.value = getPadPlaybackRate(v.pad);
+    } catch (_) { }
+  });
+}
+
+pitchDec.addEventListener("click", () => changeSetting("PITCH", () => updatePitch(semitones - 1)));
+pitchInc.addEventListener("click", () => changeSetting("PITCH", () => updatePitch(semitones + 1)));
+
+// ============================================================
+// BUMP — Digital +/- Buttons (inside LCD)
+// Controls the DynamicsCompressorNode threshold.
+// Range: 0 (off) to 60 (max squeeze), step 3 dB.
+// ============================================================
+
+function updateBump(newVal) {
+  bumpAmount = Math.max(0, Math.min(60, newVal));
+  bumpValueEl.textContent = bumpAmount === 0 ? "BUMP: OFF" : `BUMP: -${bumpAmount} dB`;
+
+  if (compressorNode) {
+    compressorNode.threshold.setValueAtTime(-bumpAmount, audioCtx.currentTime);
+  }
+}
+
+bumpDec.addEventListener("click", () => changeSetting("BUMP", () => updateBump(bumpAmount - 3)));
+bumpInc.addEventListener("click", () => changeSetting("BUMP", () => updateBump(bumpAmount + 3)));
+
+// ============================================================
+// BPM CONTROLS
+// ============================================================
+
+const TAP_TIMEOUT_MS = 2000;   // A longer pause starts a new tap sequence
+const TAP_HISTORY = 8;         // Taps averaged into the tempo
+
+let tapTimes = [];
+
+function setBpm(val) {
+  const range = BPM_RANGES[bpmRange];
+  bpm = Math.max(range.min, Math.min(range.max, Math.round(Number(val) || 70)));
+  bpmInput.value = bpm;
   if (lcdBpmDisplay) {
     lcdBpmDisplay.textContent = bpm + " BPM";
   }
+  scheduleWarpUpdate();
+  updateSendFx();
+}
+
+bpmInput.addEventListener("change", () => changeSetting("BPM", () => setBpm(bpmInput.value)));
+bpmDecBtn.addEventListener("click", () => changeSetting("BPM", () => setBpm(bpm - 1)));
+bpmIncBtn.addEventListener("click", () => changeSetting("BPM", () => setBpm(bpm + 1)));
+tapBtn.addEventListener("click", () => tapTempo());
+
+// ---- Switch the tempo range; the current tempo is clamped into it ----
+function setBpmRange(index) {
+  bpmRange = Math.max(0, Math.min(BPM_RANGES.length - 1, index));
+  bpmInput.min = BPM_RANGES[bpmRange].min;
+  bpmInput.max = BPM_RANGES[bpmRange].max;
+  setBpm(bpm);
+  refreshLcdPage("tempo");
+}
+
+// ---- Tap tempo: average spacing of the recent taps ----
+function tapTempo() {
+  const now = performance.now();
+  if (tapTimes.length > 0 && now - tapTimes[tapTimes.length - 1] > TAP_TIMEOUT_MS) tapTimes = [];
+  tapTimes.push(now);
+  if (tapTimes.length > TAP_HISTORY) tapTimes.shift();
+  if (tapTimes.length < 2) return;
+
+  const beatMs = (now - tapTimes[0]) / (tapTimes.length - 1);
+  changeSetting("BPM", () => setBpm(60000 / beatMs));
+  refreshLcdPage("tempo");
 }
 
-bpmInput.addEventListener("change", () => setBpm(bpmInput.value));
-bpmDecBtn.addEventListener("click", () => setBpm(bpm - 1));
-bpmIncBtn.addEventListener("click", () => setBpm(bpm + 1));
+// ---- TEMPO page: range, tap, and the tempo detected in the sample ----
+registerLcdPage("tempo", "TEMPO", (page) => {
+  lcdStepper(lcdRow(page, "BPM RANGE"), BPM_RANGES[bpmRange].name,
+    () => changeSetting("BPM", () => setBpmRange(bpmRange - 1)),
+    () => changeSetting("BPM", () => setBpmRange(bpmRange + 1)));
+  lcdButton(lcdRow(page, "TAP " + bpm), "[ TAP ]", () => tapTempo(), "Tap in time (twice or more)");
+
+  let detected = "NO SAMPLE";
+  if (decodedBuffer) detected = detectedTempo ? detectedTempo.toFixed(1) + " BPM" : "NONE";
+  lcdText(lcdRow(page, "DETECTED"), detected);
+  if (detectedTempo) {
+    // The project tempo is whole BPM (and within the range): say what SET BPM gives
+    const range = BPM_RANGES[bpmRange];
+    const projectTempo = Math.max(range.min, Math.min(range.max, Math.round(detectedTempo)));
+    lcdButton(lcdRow(page, ""), "[ SET BPM " + projectTempo + " ]", () => {
+      changeSetting("BPM", () => setBpm(detectedTempo));
+      renderLcdPage();
+    }, "Use the detected tempo for the project, rounded to whole BPM (the tempo grid slices use)");
+    lcdButton(lcdRow(page, ""), "[ SLICE ON GRID ]", () => {
+      setSliceDetect("tempo", sliceSensitivity);
+      renderLcdPage();
+    }, "16 equal slices on the detected beat grid");
+  }
+});
 
 // ============================================================
 // QUANTIZE 3-POSITION TOGGLE SWITCH (1/8, 1/16, 1/32)
-// Always quantized — snaps between three grid resolutions.
+// Quantize is applied on playback, not at record time: each
+// recorded hit keeps its raw `offset` from its 1/32 slot, so the
+// grid, strength and window (QUANTIZE page) can be changed — or
+// quantize switched off — without re-recording.  APPLY bakes the
+// current result into the sequence.  Hits without an offset
+// (note repeat, event-list moves, baked or older recordings)
+// are fixed and play exactly on their slot.
 // ============================================================
 
 const QUANTIZE_VALUES = [8, 16, 32];
+const QUANTIZE_REACH = 3;   // Slots either side a hit can be pulled from (1/8 grid + raw offset)
 
 function setQuantizePosition(posIndex) {
   const clamped = Math.max(0, Math.min(2, posIndex));
   quantizeSwitch.dataset.position = clamped;
   quantizeRes = QUANTIZE_VALUES[clamped];
+  renderEventMarkers();
+  refreshLcdPage("quantize");
+}
+
+// ---- How far (in 1/32 steps) an event in `slot` plays from it ----
+// The raw offset was measured in straight time (see recordEvent); quantize
+// pulls it towards the nearest swung grid line, and the result is mapped
+// back onto the step grid so the scheduler does not swing it a second time.
+function eventShift(slot, ev) {
+  if (typeof ev.offset !== "number") return 0;
+  const raw = slot + ev.offset;
+  let pos = raw;
+  if (quantizeEnabled) {
+    const grid = 32 / quantizeRes;   // 1/32 steps per grid line
+    const nearest = Math.round(raw / grid) * grid;
+    let line = swingPosition(nearest);
+    for (const g of [nearest - grid, nearest + grid]) {
+      if (Math.abs(swingPosition(g) - raw) < Math.abs(line - raw)) line = swingPosition(g);
+    }
+    const distance = line - raw;
+    if (Math.abs(distance) <= ((quantizeWindow / 100) * grid) / 2) pos += (distance * quantizeStrength) / 100;
+  }
+  // Rounded so a fully quantized hit lands exactly on its step
+  return Math.round((unswingPosition(pos) - slot) * 1e6) / 1e6;
+}
+
+// ---- Hits that play inside 1/32 step `step`: [{ pad, vel, frac }] ----
+// frac = time from the (swung) step to the hit, in 1/32 steps
+function eventsAtStep(step) {
+  const steps = getEffectiveSteps();
+  const hits = [];
+  for (let d = -QUANTIZE_REACH; d <= QUANTIZE_REACH; d++) {
+    const slot = (step + d + steps) % steps;
+    sequence[slot].forEach((ev) => {
+      const rel = d + eventShift(slot, ev);
+      if (rel >= 0 && rel < 1) hits.push({ pad: ev.pad, vel: ev.vel, frac: swingPosition(step + rel) - swingPosition(step) });
+    });
+  }
+  return hits;
+}
+
+// ---- Hits to schedule at `step` while playing: like eventsAtStep(), across the boundary ----
+// Instead of wrapping round the loop, early hits on the first steps of the
+// next loop come from the pattern that will be playing then (queued or next
+// in the song), and the last step also takes late hits that spill over the
+// boundary (frac ≥ 1).  On the first pass nothing came before step 1, so its
+// early hits play on it (frac 0).
+function playbackEventsAtStep(step) {
+  const steps = getEffectiveSteps();
+  const after = patternAfterLoop();
+  const next = after === null ? null : patterns[after].sequence;
+  const lastStep = step === steps - 1;
+  const hits = [];
+  for (let d = -QUANTIZE_REACH; d <= QUANTIZE_REACH; d++) {
+    const slot = step + d;
+    if (slot < 0) continue;   // Played at the end of the loop before (or never, on the first pass)
+    const inNext = slot >= steps;
+    if (inNext && !next) continue;
+    const at = inNext ? slot - steps : slot;
+    (inNext ? next : sequence)[at].forEach((ev) => {
+      const rel = d + eventShift(at, ev);
+      if (rel >= 0 && (rel < 1 || (lastStep && !inNext))) {
+        hits.push({ pad: ev.pad, vel: ev.vel, frac: swingPosition(step + rel) - swingPosition(step) });
+      } else if (rel < 0 && step === 0 && !leadInScheduled) {
+        hits.push({ pad: ev.pad, vel: ev.vel, frac: 0 });
+      }
+    });
+  }
+  return hits;
+}
+
+function setQuantizeFeel(enabled, strength, windowPct) {
+  quantizeEnabled = enabled;
+  quantizeStrength = Math.max(0, Math.min(100, strength));
+  quantizeWindow = Math.max(0, Math.min(100, windowPct));
+  renderEventMarkers();
+  refreshLcdPage("quantize");
+}
+
+// ---- Bake the current quantize into the loop: every hit becomes fixed on its step ----
+function applyQuantize() {
+  recordUndo("QUANT", captureSequence, restoreSequence, () => {
+    const steps = getEffectiveSteps();
+    const moved = [];
+    for (let slot = 0; slot < steps; slot++) {
+      sequence[slot].forEach((ev) => {
+        moved.push({ step: Math.round(slot + eventShift(slot, ev)), pad: ev.pad, vel: ev.vel });
+      });
+      sequence[slot].length = 0;
+    }
+    moved.forEach((ev) => placeEvent(((ev.step % steps) + steps) % steps, ev.pad, ev.vel));
+    renderEventMarkers();
+  });
 }
 
+registerLcdPage("quantize", "QUANTIZE", (page) => {
+  const feel = (enabled, strength, windowPct) => changeSetting("Q", () => setQuantizeFeel(enabled, strength, windowPct));
+  lcdStepper(lcdRow(page, "QUANTIZE"), quantizeEnabled ? "ON" : "OFF (AS PLAYED)",
+    () => feel(false, quantizeStrength, quantizeWindow),
+    () => feel(true, quantizeStrength, quantizeWindow));
+  const pos = QUANTIZE_VALUES.indexOf(quantizeRes);
+  lcdStepper(lcdRow(page, "GRID"), "1/" + quantizeRes,
+    () => changeSetting("Q", () => setQuantizePosition(pos - 1)),
+    () => changeSetting("Q", () => setQuantizePosition(pos + 1)));
+  lcdStepper(lcdRow(page, "STRENGTH"), quantizeStrength + "%",
+    () => feel(quantizeEnabled, quantizeStrength - 10, quantizeWindow),
+    () => feel(quantizeEnabled, quantizeStrength + 10, quantizeWindow));
+  lcdStepper(lcdRow(page, "WINDOW"), quantizeWindow + "%",
+    () => feel(quantizeEnabled, quantizeStrength, quantizeWindow - 10),
+    () => feel(quantizeEnabled, quantizeStrength, quantizeWindow + 10));
+  lcdButton(lcdRow(page, ""), "[ APPLY ]", () => applyQuantize(), "Write the quantized timing into the loop");
+});
+
 // Click on track cycles to next position
 quantizeSwitch.querySelector(".q-track").addEventListener("click", () => {
   const cur = parseInt(quantizeSwitch.dataset.position, 10);
-  setQuantizePosition((cur + 1) % 3);
+  changeSetting("Q", () => setQuantizePosition((cur + 1) % 3));
 });
 
 // Click on individual labels snaps to that position
@@ -927,7 +3162,7 @@ quantizeLabels.forEach((lbl) => {
     e.stopPropagation();
     const val = parseInt(lbl.dataset.val, 10);
     const idx = QUANTIZE_VALUES.indexOf(val);
-    if (idx !== -1) setQuantizePosition(idx);
+    if (idx !== -1) changeSetting("Q", () => setQuantizePosition(idx));
   });
 });
 
@@ -942,12 +3177,13 @@ function setSwingPosition(posIndex) {
   const clamped = Math.max(0, Math.min(2, posIndex));
   swingSwitch.dataset.position = clamped;
   swingPercent = SWING_VALUES[clamped];
+  renderEventMarkers();   // Hits recorded off the grid sit against the swung steps
 }
 
 // Click on track cycles to next position
 swingSwitch.querySelector(".swing-track").addEventListener("click", () => {
   const cur = parseInt(swingSwitch.dataset.position, 10);
-  setSwingPosition((cur + 1) % 3);
+  changeSetting("SWING", () => setSwingPosition((cur + 1) % 3));
 });
 
 // Click on individual labels snaps to that position
@@ -956,7 +3192,7 @@ swingLabels.forEach((lbl) => {
     e.stopPropagation();
     const val = parseInt(lbl.dataset.val, 10);
     const idx = SWING_VALUES.indexOf(val);
-    if (idx !== -1) setSwingPosition(idx);
+    if (idx !== -1) changeSetting("SWING", () => setSwingPosition(idx));
   });
 });
 
@@ -967,10 +3203,12 @@ swingLabels.forEach((lbl) => {
 // a standalone timing tool — no sequence data required.
 // ============================================================
 
-metroBtn.addEventListener("click", () => {
-  metronomeEnabled = !metronomeEnabled;
+function setMetronome(enabled) {
+  metronomeEnabled = enabled;
   metroBtn.classList.toggle("active", metronomeEnabled);
-});
+}
+
+metroBtn.addEventListener("click", () => setMetronome(!metronomeEnabled));
 
 // ============================================================
 // NOTE REPEAT — MPC-Style Auto-Retrigger
@@ -979,12 +3217,13 @@ metroBtn.addEventListener("click", () => {
 
 function isNoteRepeatActive() {
   if (seqMode) return false;
-  return shiftHeld;
+  return shiftHeld || midiRepeatHeld;
 }
 
 function getPressedPads() {
   const union = new Set(mousePressedPads);
   for (const p of keyPressedPads) union.add(p);
+  for (const p of midiPressedPads) union.add(p);
   return union;
 }
 
@@ -1026,56 +3265,416 @@ modeSwitch.querySelectorAll(".mode-label").forEach((lbl) => {
 // ============================================================
 
 function setDrumBank(index) {
-  currentDrumBank = ((index % DRUM_BANKS.length) + DRUM_BANKS.length) % DRUM_BANKS.length;
-  bankValueEl.textContent = "BANK: " + BANK_NAMES[currentDrumBank];
+  currentDrumBank = ((index % drumBanks.length) + drumBanks.length) % drumBanks.length;
+  bankValueEl.textContent = "BANK: " + drumBanks[currentDrumBank].name + (isDrumBankEdited(currentDrumBank) ? "*" : "");
+  refreshLcdPage("bank");
+}
+
+bankDecBtn.addEventListener("click", () => changeSetting("BANK", () => setDrumBank(currentDrumBank - 1)));
+bankIncBtn.addEventListener("click", () => changeSetting("BANK", () => setDrumBank(currentDrumBank + 1)));
+
+// ============================================================
+// DRUM BANK EDITOR
+// `drumBanks` holds the four factory banks (session copies of
+// DRUM_BANKS — edits are heard at once and marked with "*",
+// RESET restores them) followed by user banks.  SAVE AS USER
+// stores the bank being edited as a new user bank; user banks
+// are kept in localStorage, saved on every edit, and can be
+// exported / imported as .hal60bank files.
+// ============================================================
+
+const DRUM_BANK_STORAGE_KEY = "hal60-drum-banks";
+const DRUM_BANK_FORMAT = "hal60-drum-bank";
+const DRUM_BANK_FILE_VERSION = 1;
+const FACTORY_BANK_COUNT = DRUM_BANKS.length;
+const MAX_USER_BANKS = 16;
+
+// Editable parameters per voice: range, step and display unit
+const DRUM_BANK_PARAMS = {
+  kick: [
+    { key: "freq", label: "FREQ", min: 40, max: 400, step: 5, unit: "HZ" },
+    { key: "endFreq", label: "END FREQ", min: 20, max: 200, step: 5, unit: "HZ" },
+    { key: "decay", label: "DECAY", min: 0.05, max: 2, step: 0.05, unit: "S" },
+    { key: "tone", label: "TONE", min: 0, max: 1, step: 0.05, unit: "" },
+  ],
+  snare: [
+    { key: "toneFreq", label: "TONE FREQ", min: 80, max: 600, step: 10, unit: "HZ" },
+    { key: "noiseDecay", label: "NOISE DECAY", min: 0.02, max: 1, step: 0.01, unit: "S" },
+    { key: "filterFreq", label: "FILTER", min: 500, max: 12000, step: 250, unit: "HZ" },
+    { key: "tone", label: "TONE", min: 0, max: 1, step: 0.05, unit: "" },
+  ],
+  hihat: [
+    { key: "filterFreq", label: "FILTER", min: 2000, max: 16000, step: 250, unit: "HZ" },
+    { key: "decay", label: "DECAY", min: 0.01, max: 1, step: 0.01, unit: "S" },
+    { key: "q", label: "FILTER Q", min: 0.1, max: 20, step: 0.1, unit: "" },
+  ],
+  cymbal: [
+    { key: "filterFreq", label: "FILTER", min: 1000, max: 16000, step: 250, unit: "HZ" },
+    { key: "decay", label: "DECAY", min: 0.05, max: 3, step: 0.05, unit: "S" },
+    { key: "q", label: "FILTER Q", min: 0.1, max: 20, step: 0.1, unit: "" },
+  ],
+  openhat: [
+    { key: "filterFreq", label: "FILTER", min: 2000, max: 16000, step: 250, unit: "HZ" },
+    { key: "decay", label: "DECAY", min: 0.05, max: 2, step: 0.05, unit: "S" },
+    { key: "q", label: "FILTER Q", min: 0.1, max: 20, step: 0.1, unit: "" },
+  ],
+  clap: [
+    { key: "filterFreq", label: "FILTER", min: 500, max: 5000, step: 100, unit: "HZ" },
+    { key: "decay", label: "DECAY", min: 0.05, max: 1, step: 0.01, unit: "S" },
+    { key: "spread", label: "SPREAD", min: 0.005, max: 0.03, step: 0.001, unit: "S" },
+  ],
+  rimshot: [
+    { key: "freq", label: "FREQ", min: 800, max: 3000, step: 50, unit: "HZ" },
+    { key: "decay", label: "DECAY", min: 0.01, max: 0.3, step: 0.01, unit: "S" },
+    { key: "tone", label: "CLICK", min: 0, max: 1, step: 0.05, unit: "" },
+  ],
+};
+
+// The three toms share one parameter set
+const TOM_PARAMS = [
+  { key: "freq", label: "FREQ", min: 50, max: 400, step: 5, unit: "HZ" },
+  { key: "decay", label: "DECAY", min: 0.05, max: 2, step: 0.05, unit: "S" },
+  { key: "tone", label: "TONE", min: 0, max: 1, step: 0.05, unit: "" },
+];
+DRUM_BANK_PARAMS.tomLow = TOM_PARAMS;
+DRUM_BANK_PARAMS.tomMid = TOM_PARAMS;
+DRUM_BANK_PARAMS.tomHigh = TOM_PARAMS;
+
+let drumBanks = DRUM_BANKS.map((bank) => JSON.parse(JSON.stringify(bank))).concat(loadUserBanks());
+let bankEditVoice = 0;
+let bankMessage = "";
+
+// ---- Copy a bank, keeping only known voices / params (clamped); gaps filled from bank A ----
+function sanitizeDrumBank(bank, name) {
+  const clean = { name };
+  DRUM_VOICES.forEach((voice) => {
+    clean[voice] = {};
+    DRUM_BANK_PARAMS[voice].forEach((spec) => {
+      const v = bank && bank[voice] && bank[voice][spec.key];
+      clean[voice][spec.key] = typeof v === "number" && isFinite(v)
+        ? Math.max(spec.min, Math.min(spec.max, v))
+        : DRUM_BANKS[0][voice][spec.key];
+    });
+  });
+  return clean;
+}
+
+function loadUserBanks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DRUM_BANK_STORAGE_KEY) || "[]");
+    if (Array.isArray(saved)) {
+      return saved.slice(0, MAX_USER_BANKS).map((bank, i) => sanitizeDrumBank(bank, bank.name || "U" + (i + 1)));
+    }
+  } catch (err) {
+    console.warn("User drum banks reset:", err.message);
+  }
+  return [];
+}
+
+function saveUserBanks() {
+  try {
+    localStorage.setItem(DRUM_BANK_STORAGE_KEY, JSON.stringify(storedUserBanks()));
+  } catch (_) {
+    // storage may be unavailable (private mode) — user banks last for this session
+  }
+}
+
+function isUserBank(index) {
+  return index >= FACTORY_BANK_COUNT;
+}
+
+// Session banks come from a loaded project; they are never stored or exported
+function isSessionBank(index) {
+  return isUserBank(index) && !!drumBanks[index].session;
+}
+
+function storedUserBanks() {
+  return drumBanks.slice(FACTORY_BANK_COUNT).filter((bank) => !bank.session);
+}
+
+// Factory bank whose parameters differ from its template
+function isDrumBankEdited(index) {
+  if (isUserBank(index)) return false;
+  const bank = drumBanks[index];
+  return DRUM_VOICES.some((voice) =>
+    DRUM_BANK_PARAMS[voice].some((spec) => bank[voice][spec.key] !== DRUM_BANKS[index][voice][spec.key]));
+}
+
+function nextUserBankName() {
+  let n = 1;
+  while (drumBanks.some((bank) => bank.name === "U" + n)) n++;
+  return "U" + n;
+}
+
+// ---- Add banks after the existing ones; resolves to how many were added ----
+function addUserBanks(banks) {
+  const room = MAX_USER_BANKS - storedUserBanks().length;
+  const added = banks.slice(0, Math.max(0, room)).map((bank) => {
+    const taken = drumBanks.some((b) => b.name === bank.name);
+    const clean = sanitizeDrumBank(bank, bank.name && !taken ? String(bank.name).slice(0, 8).toUpperCase() : nextUserBankName());
+    drumBanks.push(clean);
+    return clean;
+  });
+  saveUserBanks();
+  return added.length;
+}
+
+// ---- Bank a project was saved with → its index here ----
+// The saved parameters win.  A bank that already sounds the same is reused
+// (the named one first); otherwise the parameters become a session bank
+// under the saved name, which SAVE AS USER can keep.  Nothing is stored
+// by loading, existing banks are never overwritten, and the session banks
+// of the project loaded before are dropped.  Older projects only have the
+// name.  Runs after the undo history is cleared (bank indexes shift).
+function restoreProjectDrumBank(name, saved) {
+  drumBanks = drumBanks.filter((bank) => !bank.session);
+  const index = drumBanks.findIndex((bank) => bank.name === name);
+  if (!saved) return Math.max(0, index);
+
+  const bank = sanitizeDrumBank(saved, name || nextUserBankName());
+  const sameParams = (other) => DRUM_VOICES.every((voice) =>
+    DRUM_BANK_PARAMS[voice].every((spec) => other[voice][spec.key] === bank[voice][spec.key]));
+  if (index !== -1 && sameParams(drumBanks[index])) return index;
+  const same = drumBanks.findIndex(sameParams);
+  if (same !== -1) return same;
+
+  bank.session = true;
+  drumBanks.push(bank);
+  return drumBanks.length - 1;
+}
+
+// ---- Parameter edit (undoable, coalesced) + audition ----
+function captureDrumBank() {
+  return { index: currentDrumBank, bank: JSON.parse(JSON.stringify(drumBanks[currentDrumBank])) };
+}
+
+function restoreDrumBank(state) {
+  if (!drumBanks[state.index] || drumBanks[state.index].name !== state.bank.name) return;
+  drumBanks[state.index] = JSON.parse(JSON.stringify(state.bank));
+  if (isUserBank(state.index)) saveUserBanks();
+  setDrumBank(currentDrumBank);
+}
+
+function formatBankParam(value, spec) {
+  const decimals = spec.step < 0.01 ? 3 : spec.step < 0.1 ? 2 : spec.step < 1 ? 1 : 0;
+  return value.toFixed(decimals) + (spec.unit ? " " + spec.unit : "");
+}
+
+function editBankParam(voiceIdx, spec, dir) {
+  const voice = DRUM_VOICES[voiceIdx];
+  recordUndo("BANK EDIT", captureDrumBank, restoreDrumBank, () => {
+    const params = drumBanks[currentDrumBank][voice];
+    const stepped = Math.round((params[spec.key] + dir * spec.step) / spec.step) * spec.step;
+    params[spec.key] = Math.max(spec.min, Math.min(spec.max, parseFloat(stepped.toFixed(4))));
+  }, drumBanks[currentDrumBank].name);
+  if (isUserBank(currentDrumBank)) saveUserBanks();
+  setDrumBank(currentDrumBank);
+  auditionDrumVoice(voiceIdx);
+}
+
+function auditionDrumVoice(voiceIdx) {
+  ensureAudioContext();
+  synthDrumVoice(voiceIdx, audioCtx.currentTime, 1);
+}
+
+// ---- Bank actions ----
+function saveBankAsUser() {
+  if (storedUserBanks().length >= MAX_USER_BANKS) {
+    bankMessage = "USER BANKS FULL";
+    return;
+  }
+  const source = drumBanks[currentDrumBank];
+  const copy = sanitizeDrumBank(source, nextUserBankName());
+  // Leave the factory bank as shipped; the edits now live in the user bank
+  if (!isUserBank(currentDrumBank)) {
+    drumBanks[currentDrumBank] = JSON.parse(JSON.stringify(DRUM_BANKS[currentDrumBank]));
+  }
+  drumBanks.push(copy);
+  saveUserBanks();
+  bankMessage = "SAVED AS " + copy.name;
+  setDrumBank(drumBanks.length - 1);
+}
+
+function resetFactoryBank() {
+  recordUndo("BANK EDIT", captureDrumBank, restoreDrumBank, () => {
+    drumBanks[currentDrumBank] = JSON.parse(JSON.stringify(DRUM_BANKS[currentDrumBank]));
+  });
+  bankMessage = "RESET " + drumBanks[currentDrumBank].name;
+  setDrumBank(currentDrumBank);
+}
+
+// ---- Bank `removed` is gone: shift the bank indexes held by undo entries ----
+// Edits of the removed bank are dropped; a panel state that had it selected
+// falls back to the bank that takes its place, as deleteUserBank() does.
+function remapUndoBankIndexes(removed) {
+  const shift = (index) => (index > removed ? index - 1 : Math.min(index, drumBanks.length - 1));
+  [undoStack, redoStack].forEach((stack) => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const entry = stack[i];
+      if (entry.restore === restoreDrumBank) {
+        if (entry.before.index === removed) {
+          stack.splice(i, 1);
+        } else {
+          entry.before.index = shift(entry.before.index);
+          entry.after.index = shift(entry.after.index);
+        }
+      } else if (entry.restore === restoreSettings) {
+        entry.before.currentDrumBank = shift(entry.before.currentDrumBank);
+        entry.after.currentDrumBank = shift(entry.after.currentDrumBank);
+      }
+    }
+  });
+  updateUndoStatus();
+}
+
+function deleteUserBank() {
+  const name = drumBanks[currentDrumBank].name;
+  drumBanks.splice(currentDrumBank, 1);
+  remapUndoBankIndexes(currentDrumBank);
+  saveUserBanks();
+  bankMessage = "DELETED " + name;
+  setDrumBank(Math.min(currentDrumBank, drumBanks.length - 1));
+}
+
+function exportUserBanks() {
+  const banks = storedUserBanks();
+  if (!banks.length) {
+    bankMessage = "NO USER BANKS";
+    return;
+  }
+  const file = { format: DRUM_BANK_FORMAT, version: DRUM_BANK_FILE_VERSION, banks };
+  downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: "application/json" }), "hal60-banks.hal60bank");
+  bankMessage = "EXPORTED " + banks.length + " BANK" + (banks.length > 1 ? "S" : "");
 }
 
-bankDecBtn.addEventListener("click", () => setDrumBank(currentDrumBank - 1));
-bankIncBtn.addEventListener("click", () => setDrumBank(currentDrumBank + 1));
+function importUserBanks(file) {
+  return file.text().then((text) => {
+    const data = JSON.parse(text);
+    if (!data || data.format !== DRUM_BANK_FORMAT || !Array.isArray(data.banks)) {
+      throw new Error("Not a HAL-60 drum bank file");
+    }
+    if (data.version > DRUM_BANK_FILE_VERSION) {
+      throw new Error("Unsupported drum bank version " + data.version);
+    }
+    return addUserBanks(data.banks);
+  });
+}
+
+registerLcdPage("bank", "DRUM BANK", (page) => {
+  const bankRow = lcdRow(page, "BANK");
+  lcdStepper(bankRow, drumBanks[currentDrumBank].name + (isDrumBankEdited(currentDrumBank) ? "*" : ""),
+    () => changeSetting("BANK", () => setDrumBank(currentDrumBank - 1)),
+    () => changeSetting("BANK", () => setDrumBank(currentDrumBank + 1)));
+  lcdText(bankRow, isSessionBank(currentDrumBank) ? "SESSION" : isUserBank(currentDrumBank) ? "USER" : "FACTORY");
+
+  const voiceRow = lcdRow(page, "VOICE");
+  lcdStepper(voiceRow, TRACK_NAMES[bankEditVoice],
+    () => { bankEditVoice = Math.max(0, bankEditVoice - 1); },
+    () => { bankEditVoice = Math.min(DRUM_VOICES.length - 1, bankEditVoice + 1); });
+  lcdButton(voiceRow, "PLAY", () => auditionDrumVoice(bankEditVoice), "Audition this voice");
+
+  const voice = DRUM_VOICES[bankEditVoice];
+  const params = drumBanks[currentDrumBank][voice];
+  DRUM_BANK_PARAMS[voice].forEach((spec) => {
+    lcdStepper(lcdRow(page, spec.label), formatBankParam(params[spec.key], spec),
+      () => editBankParam(bankEditVoice, spec, -1),
+      () => editBankParam(bankEditVoice, spec, 1));
+  });
+
+  const actions = lcdRow(page, "");
+  lcdButton(actions, "[ SAVE AS USER ]", () => { saveBankAsUser(); renderLcdPage(); },
+    "Store this bank as a new user bank");
+  if (isUserBank(currentDrumBank)) {
+    lcdButton(actions, "[ DELETE ]", () => { deleteUserBank(); renderLcdPage(); }, "Remove this user bank");
+  } else if (isDrumBankEdited(currentDrumBank)) {
+    lcdButton(actions, "[ RESET ]", () => { resetFactoryBank(); renderLcdPage(); }, "Restore the factory sound");
+  }
+  lcdButton(actions, "[ EXPORT ]", () => { exportUserBanks(); renderLcdPage(); },
+    "Download all user banks as a .hal60bank file");
+  lcdButton(actions, "[ IMPORT ]", () => bankInput.click(), "Add user banks from a .hal60bank file");
+
+  lcdText(lcdRow(page, "STATUS"), bankMessage || "READY");
+});
+
+bankInput.addEventListener("change", (e) => {
+  const file = e.target.files[0];
+  bankInput.value = "";
+  if (!file) return;
+  importUserBanks(file)
+    .then((count) => {
+      bankMessage = count ? "IMPORTED " + count + " BANK" + (count > 1 ? "S" : "") : "USER BANKS FULL";
+    })
+    .catch((err) => {
+      console.warn("Drum bank import failed:", err);
+      bankMessage = "IMPORT FAILED";
+    })
+    .then(() => refreshLcdPage("bank"));
+});
 
 // ============================================================
-// SLICE MODE SWITCH — 16 (HALF) ↔ 32 (FULL) loop length
-// 16: playhead wraps after 2 bars; 16 drum steps = entire loop.
-// 32: full 4-bar loop; 16 drum steps = 1 bar.
+// LOOP LENGTH / TIME SIGNATURE
+// Each pattern loops 1, 2, 4 or 8 bars of its own meter; the
+// LOOP page sets both.  The 16 ↔ 32 switch is the quick way
+// between the two classic lengths: 16 slices (1 bar) and
+// 32 slices (2 bars).  16 drum steps of 1/16 = one 4/4 bar.
 // ============================================================
 
-function setSliceMode(mode) {
-  sliceMode = mode;
-  sliceModeSwitch.dataset.mode = String(mode);
+const SLICE_MODE_BARS = { 16: 1, 32: 2 };   // Switch position → loop bars
+
+function setLoopLength(bars, signature) {
+  loopBars = bars;
+  timeSignature = signature;
+  patterns[currentPattern].loopBars = bars;
+  patterns[currentPattern].timeSignature = signature;
+  sliceModeSwitch.dataset.mode = bars === 1 ? "16" : "32";
 
-  // Update label glow
+  // Update label glow (neither glows for 4 / 8 bars)
   sliceModeLabels.forEach((lbl) => {
-    lbl.classList.toggle("active", Number(lbl.dataset.val) === mode);
+    lbl.classList.toggle("active", SLICE_MODE_BARS[lbl.dataset.val] === bars);
   });
 
-  // Toggle the dim overlay on the progress bar (second half grayed out in 16-mode)
+  // Toggle the dim overlay on the progress bar (second half grayed out for a 1-bar loop)
   const loopProgress = document.getElementById("loop-progress");
-  loopProgress.classList.toggle("half-mode", mode === 16);
+  loopProgress.classList.toggle("half-mode", getLoopWidth() < 100);
 
-  // Re-render markers for new effective length
+  // New grid for the new length / meter, then the markers on it
+  buildProgressTicks();
   renderEventMarkers();
+  refreshLcdPage("loop");
 }
 
 // Initialize label state on boot
-setSliceMode(sliceMode);
+setLoopLength(loopBars, timeSignature);
 
-// Click on the track toggles between 16 and 32
+// Click on the track toggles between 1 and 2 bars
 sliceModeSwitch.querySelector(".slice-mode-track").addEventListener("click", () => {
-  setSliceMode(sliceMode === 32 ? 16 : 32);
+  changeLoopLength(loopBars === 1 ? 2 : 1);
 });
 
-// Click on individual labels snaps to that mode
+// Click on individual labels snaps to that length
 sliceModeLabels.forEach((lbl) => {
   lbl.addEventListener("click", (e) => {
     e.stopPropagation();
-    setSliceMode(Number(lbl.dataset.val));
+    changeLoopLength(SLICE_MODE_BARS[lbl.dataset.val]);
   });
 });
 
+registerLcdPage("loop", "LOOP", (page) => {
+  const barIdx = LOOP_BAR_OPTIONS.indexOf(loopBars);
+  lcdStepper(lcdRow(page, "LENGTH"), loopBars + (loopBars === 1 ? " BAR" : " BARS"),
+    () => changeLoopLength(LOOP_BAR_OPTIONS[Math.max(0, barIdx - 1)]),
+    () => changeLoopLength(LOOP_BAR_OPTIONS[Math.min(LOOP_BAR_OPTIONS.length - 1, barIdx + 1)]));
+  lcdStepper(lcdRow(page, "TIME SIG"), TIME_SIGNATURES[timeSignature].label,
+    () => changeLoopLength(loopBars, Math.max(0, timeSignature - 1)),
+    () => changeLoopLength(loopBars, Math.min(TIME_SIGNATURES.length - 1, timeSignature + 1)));
+  lcdText(lcdRow(page, "STEPS"), (getEffectiveSteps() / STEPS_PER_SIXTEENTH) + " x 1/16");
+});
+
 // ============================================================
-// COUNT-IN ENGINE — 4-Beat Pre-Roll Before Recording
+// COUNT-IN ENGINE — One-Bar Pre-Roll Before Recording
 // Uses the same look-ahead scheduler pattern for precise timing.
-// Plays 4 digital ticks, displays a countdown (4→3→2→1),
+// Plays one bar of digital ticks in the pattern's meter (4 in
+// 4/4, 7 eighths in 7/8), displays a countdown (4→3→2→1),
 // then hands off to the main sequencer to begin recording.
 // ============================================================
 
@@ -1098,8 +3697,9 @@ function startCountIn() {
 
 function countInScheduler() {
   while (countInNextTime < audioCtx.currentTime + scheduleAheadTime) {
-    if (countInStep >= 4) {
-      // All 4 count-in beats have been scheduled.
+    const beats = TIME_SIGNATURES[timeSignature].beats;
+    if (countInStep >= beats) {
+      // All count-in beats have been scheduled.
       // Transition to the main recording loop exactly on the next downbeat.
       isCountingIn = false;
 
@@ -1114,9 +3714,13 @@ function countInScheduler() {
       isRecording = true;
       playBtn.classList.add("active");
 
+      rewindSong();
       currentStep = 0;
+      drumTickCount = 0;
+      leadInScheduled = false;
       nextNoteTime = countInNextTime;
       loopStartTime = countInNextTime;
+      midiClockTickCount = 0;
 
       // Switch from count-in timer to main scheduler
       if (countInTimerID !== null) {
@@ -1124,7 +3728,11 @@ function countInScheduler() {
         countInTimerID = null;
       }
 
-      scheduler();
+      // Under external clock the next incoming tick takes over from here
+      if (!isExternalClock()) {
+        sendMidiClockStart(nextNoteTime);
+        scheduler();
+      }
       startVisualLoop();
       return;
     }
@@ -1134,16 +3742,15 @@ function countInScheduler() {
     playMetronomeTick(countInNextTime, isDownbeat);
 
     // Schedule visual update: countdown number + metronome flash
-    const displayNum = 4 - countInStep;
+    const displayNum = beats - countInStep;
     const visualDelay = Math.max(0, (countInNextTime - audioCtx.currentTime) * 1000);
     setTimeout(() => {
       countInDisplay.textContent = displayNum.toString();
       flashMetronome();
     }, visualDelay);
 
-    // Advance to the next beat
-    const secondsPerBeat = 60.0 / bpm;
-    countInNextTime += secondsPerBeat;
+    // Advance to the next beat (a quarter, or an eighth in 7/8)
+    countInNextTime += (getStepsPerBeat() * 60.0) / bpm / THIRTYSECONDS_PER_BEAT;
     countInStep++;
   }
 
@@ -1164,18 +3771,68 @@ function stopCountIn() {
 // SEQUENCER ENGINE — "Golden Standard" Look-Ahead Scheduler
 // ============================================================
 
-// ---- Get effective total steps based on slice mode ----
-// 16-mode = 32 internal steps (1 bar).  32-mode = 64 internal steps (2 bars).
+// ---- Meter of the live pattern in internal 1/32 steps ----
+// A beat is 8 steps (quarter) or 4 steps (eighth, e.g. 7/8).
+function getStepsPerBeat() {
+  return (THIRTYSECONDS_PER_BEAT * 4) / TIME_SIGNATURES[timeSignature].unit;
+}
+
+function getStepsPerBar() {
+  return TIME_SIGNATURES[timeSignature].beats * getStepsPerBeat();
+}
+
+// ---- Get effective total steps: bars × steps per bar ----
+// 1 bar of 4/4 = 32 internal steps, 2 bars = 64.
 // Each "slice" = 2 internal 32nd-note steps = one 1/16th note.
 function getEffectiveSteps() {
-  return sliceMode === 16 ? TOTAL_STEPS / 4 : TOTAL_STEPS / 2;
+  return loopBars * getStepsPerBar();
 }
 
 // ---- Get loop duration at current BPM (seconds) ----
-// Derived purely from BPM × bars.  Step duration never changes with mode.
+// Derived purely from BPM × steps.  Step duration never changes with length or meter.
 function getLoopDuration() {
-  const bars = sliceMode === 16 ? 1 : 2;
-  return (60.0 / bpm) * BEATS_PER_BAR * bars;
+  return (getEffectiveSteps() * 60.0) / bpm / THIRTYSECONDS_PER_BEAT;
+}
+
+// ---- Swing delay (seconds) applied to every odd-indexed 16th note ----
+function getSwingDelay() {
+  const sixteenthDur = (60.0 / bpm) / SIXTEENTHS_PER_BEAT;
+  return ((swingPercent / 100) - 0.5) * 2.0 * sixteenthDur;
+}
+
+// ---- How far a step sits behind the straight grid because of swing ----
+function getSwingOffset(step) {
+  const sixteenth = Math.floor(step / STEPS_PER_SIXTEENTH);
+  return sixteenth % 2 === 1 ? getSwingDelay() : 0;
+}
+
+// ---- Straight-time position (in 1/32 steps) of step-grid position `pos`, after swing ----
+// Steps land where the scheduler plays them; positions between steps are
+// interpolated, so the map is continuous and can be inverted.
+function swingPosition(pos) {
+  const cycle = 2 * STEPS_PER_SIXTEENTH;   // One straight and one swung 16th
+  const base = Math.floor(pos / cycle) * cycle;
+  const i = Math.min(cycle - 1, Math.floor(pos - base));
+  const from = i + getSwingSteps(i);
+  const to = i + 1 + getSwingSteps(i + 1);
+  return base + from + (pos - base - i) * (to - from);
+}
+
+// ---- Step-grid position of straight-time position `time` (inverse of swingPosition) ----
+function unswingPosition(time) {
+  const cycle = 2 * STEPS_PER_SIXTEENTH;
+  const base = Math.floor(time / cycle) * cycle;
+  let i = 0;
+  while (i < cycle - 1 && i + 1 + getSwingSteps(i + 1) <= time - base) i++;
+  const from = i + getSwingSteps(i);
+  const to = i + 1 + getSwingSteps(i + 1);
+  return base + i + (time - base - from) / (to - from);
+}
+
+// ---- Swing of step `step` in 1/32 steps (getSwingOffset without the tempo) ----
+function getSwingSteps(step) {
+  const sixteenth = Math.floor(step / STEPS_PER_SIXTEENTH);
+  return sixteenth % 2 === 1 ? ((swingPercent / 100) - 0.5) * 2.0 * STEPS_PER_SIXTEENTH : 0;
 }
 
 // ---- Advance to next 1/32-note step (with swing at the 16th-note level) ----
@@ -1184,8 +3841,7 @@ function getLoopDuration() {
 function nextNote() {
   const secondsPerBeat = 60.0 / bpm;
   const thirtySecondDur = secondsPerBeat / THIRTYSECONDS_PER_BEAT;
-  const sixteenthDur = secondsPerBeat / SIXTEENTHS_PER_BEAT;
-  const swingDelay = ((swingPercent / 100) - 0.5) * 2.0 * sixteenthDur;
+  const swingDelay = getSwingDelay();
 
   const sub = currentStep % STEPS_PER_SIXTEENTH; // 0 or 1 within a 16th
 
@@ -1212,17 +3868,18 @@ function nextNote() {
     currentStep = 0;
     // Pin loop-start to prevent cumulative drift
     loopStartTime = nextNoteTime;
+    handleLoopBoundary();
+    leadInScheduled = true;
   }
 }
 
 // ---- Schedule a note (audio + deferred visual + note repeat + drum pattern) ----
 function scheduleNote(step, time) {
-  const stepsPerBar = THIRTYSECONDS_PER_BEAT * BEATS_PER_BAR;
-  const barStep = step % stepsPerBar;
+  const stepsPerBar = getStepsPerBar();
 
-  // Every quarter-note beat (every 8 thirty-seconds)
-  if (step % THIRTYSECONDS_PER_BEAT === 0) {
-    if (metronomeEnabled) {
+  // Every beat of the meter (8 thirty-seconds, or 4 in 7/8)
+  if (step % getStepsPerBeat() === 0) {
+    if (metronomeEnabled && !isBouncing) {
       // Determine if this is the first beat of a bar (downbeat = 2400 Hz)
       const isDownbeat = (step % stepsPerBar === 0);
       playMetronomeTick(time, isDownbeat);
@@ -1233,45 +3890,74 @@ function scheduleNote(step, time) {
     }
   }
 
-  // ---- Drum Pattern: fixed 1/16th-note clock (BPM-locked, mode-independent) ----
-  // drumStepInterval=2 always: each drum step = 2 internal 32nds = one 1/16th note.
-  // 16 mode (32 steps): 16 drum steps fill the entire 1-bar loop (1:1 sync).
-  // 32 mode (64 steps): 16 drum steps fill 1 bar; pattern plays twice per 2-bar loop.
-  const effectiveSteps = getEffectiveSteps();
-  const drumStepInterval = 2;
-  const drumWindowStep = step % effectiveSteps;
-  if (drumWindowStep % drumStepInterval === 0) {
-    const drumStepIndex = Math.floor(drumWindowStep / drumStepInterval) % SEQ_STEPS;
-    for (let tr = 0; tr < DRUM_TRACKS; tr++) {
-      if (drumPattern[tr][drumStepIndex]) {
-        playDrumSound(tr, time);
-      }
+  // ---- Drum Pattern: every track runs its own length and rate (polymeter) ----
+  // A track left at the default 16 steps of 1/16 follows the loop: it counts
+  // from the loop start and starts over with every loop, so in 3/4, 5/4 or
+  // 7/8 it restarts on the bar line like the pads.  A track with any other
+  // length or rate runs on drumTickCount, a free-running 1/32 clock, so a
+  // 5-step hat keeps cycling across the loop against a 16-step kick; that
+  // clock only restarts when a pattern is switched.  A track step fires on
+  // this tick when its start falls inside [tick, tick + 1); triplet steps
+  // land between ticks and are offset within the 1/32 window.  A nudged step
+  // fires on the tick its nudged start falls in, so an early nudge is
+  // scheduled from an earlier tick instead of being squeezed into the
+  // look-ahead — for a loop track near the end of the loop that means the
+  // first steps of the pattern playing next.
+  const thirtySecondDur = (60.0 / bpm) / THIRTYSECONDS_PER_BEAT;
+  const loopEnd = getEffectiveSteps();
+  const current = patterns[currentPattern];
+  const after = patternAfterLoop();
+  const next = after === null ? null : patterns[after];
+  for (let tr = 0; tr < drumTrackCount; tr++) {
+    if (isLoopTrack(current, tr)) {
+      // Nothing plays before the first step: unless the loop before already
+      // scheduled them, early nudges of step 1 start with it; the last step
+      // also takes late nudges that would cross the boundary
+      scheduleTrackCycle(tr, current, step, time, {
+        base: 0, end: loopEnd, playhead: true,
+        from: step === 0 && !leadInScheduled ? -Infinity : step - 1e-6,
+        to: step + 1 >= loopEnd ? Infinity : step + 1 - 1e-6,
+      });
+    } else {
+      // Nothing plays before the first tick: early nudges of step 1 start with it
+      scheduleTrackCycle(tr, current, drumTickCount, time, {
+        base: 0, end: Infinity, playhead: true,
+        from: drumTickCount === 0 ? -Infinity : drumTickCount - 1e-6,
+        to: drumTickCount + 1 - 1e-6,
+      });
+    }
+    // Early nudges of the next loop's first steps (a free track keeps its clock)
+    if (next && isLoopTrack(next, tr)) {
+      scheduleTrackCycle(tr, next, step, time, {
+        base: loopEnd, end: Infinity, playhead: false, from: step - 1e-6, to: step + 1 - 1e-6,
+      });
     }
-    // Defer playhead visual update to match audio timing
-    const phDelay = Math.max(0, (time - audioCtx.currentTime) * 1000);
-    setTimeout(() => updateSeqPlayhead(drumStepIndex), phDelay);
   }
+  drumTickCount++;
 
-  // Play the sequenced slice if one exists at this step
-  if (sequence[step] !== null) {
-    const sliceId = sequence[step];
-    playSlice(sliceId, time);
+  // Play every sequenced slice that lands in this step (after quantize)
+  for (const ev of playbackEventsAtStep(step)) {
+    const sliceId = ev.pad;
+    const hitTime = time + ev.frac * thirtySecondDur;
+    playSlice(sliceId, hitTime, ev.vel);
 
     // Defer visual highlight to match audio timing
-    const delay = Math.max(0, (time - audioCtx.currentTime) * 1000);
-    setTimeout(() => {
-      highlightPad(sliceId);
-      highlightSlice(sliceId);
-    }, delay);
+    if (!isBouncing) {
+      const delay = Math.max(0, (hitTime - audioCtx.currentTime) * 1000);
+      setTimeout(() => {
+        highlightPad(sliceId);
+        highlightSlice(sliceId);
+      }, delay);
+    }
   }
 
   // ---- Note Repeat: re-trigger held pads at every 1/32 step ----
-  // Respects mute-group: each playSlice call cuts the previous source.
-  if (isNoteRepeatActive()) {
+  // Respects choke groups: each playSlice call cuts its group.
+  if (isNoteRepeatActive() && !isBouncing) {
     const pressed = getPressedPads();
     if (pressed.size > 0) {
       for (const padIdx of pressed) {
-        playSlice(padIdx, time);
+        playSlice(padIdx, time, padHeldVelocity[padIdx]);
 
         const delay = Math.max(0, (time - audioCtx.currentTime) * 1000);
         setTimeout(() => {
@@ -1284,7 +3970,7 @@ function scheduleNote(step, time) {
           const effSteps = getEffectiveSteps();
           const s = step % effSteps;
           if (s >= 0 && s < effSteps) {
-            sequence[s] = padIdx;
+            placeEvent(s, padIdx, padHeldVelocity[padIdx]);
           }
         }
       }
@@ -1296,10 +3982,45 @@ function scheduleNote(step, time) {
   }
 }
 
+// ---- Tracks left at 16 steps of 1/16 follow the loop; any other length or rate runs free ----
+function isLoopTrack(pattern, tr) {
+  return pattern.trackSteps[tr] === SEQ_STEPS && pattern.trackRate[tr] === "1/16";
+}
+
+// ---- Fire the steps of drum track `tr` of `pattern` whose (nudged) start falls on `tick` ----
+// `tick` is the 1/32 clock the track counts on (loop position or drumTickCount),
+// played at `time`.  Grid steps run from cycle.base up to cycle.end; a step
+// fires when its nudged start lies in [cycle.from, cycle.to).
+function scheduleTrackCycle(tr, pattern, tick, time, cycle) {
+  const thirtySecondDur = (60.0 / bpm) / THIRTYSECONDS_PER_BEAT;
+  const tickTime = (pos) => time + Math.max(0, pos - tick) * thirtySecondDur;
+  const stepTicks = DRUM_RATES[pattern.trackRate[tr]];
+  const reach = (MAX_NUDGE / 100) * stepTicks;
+  let k = Math.max(0, Math.ceil((tick - cycle.base - reach) / stepTicks - 1e-6));
+  while (cycle.base + k * stepTicks - reach < tick + 1 - 1e-6 && cycle.base + k * stepTicks < cycle.end - 1e-6) {
+    const stepIdx = k % pattern.trackSteps[tr];
+    const gridPos = cycle.base + k * stepTicks;
+    const drumStep = pattern.drumPattern[tr][stepIdx];
+    if (drumStep) {
+      const pos = gridPos + (drumStep.nudge / 100) * stepTicks;
+      if (pos >= cycle.from && pos < cycle.to) {
+        scheduleDrumStep(tr, drumStep, tickTime(pos), stepTicks * thirtySecondDur);
+      }
+    }
+    // Defer playhead visual update to match audio timing (on the grid)
+    if (!isBouncing && cycle.playhead && gridPos >= tick - 1e-6 && gridPos < tick + 1 - 1e-6) {
+      const phDelay = Math.max(0, (tickTime(gridPos) - audioCtx.currentTime) * 1000);
+      setTimeout(() => updateSeqPlayhead(tr, stepIdx), phDelay);
+    }
+    k++;
+  }
+}
+
 // ---- The main scheduler loop ----
 function scheduler() {
   while (nextNoteTime < audioCtx.currentTime + scheduleAheadTime) {
     scheduleNote(currentStep, nextNoteTime);
+    sendMidiClockTicks(currentStep, nextNoteTime);
     nextNote();
   }
   timerID = window.setTimeout(scheduler, lookahead);
@@ -1313,16 +4034,28 @@ function startPlayback() {
   isPlaying = true;
   playBtn.classList.add("active");
 
+  rewindSong();
   currentStep = 0;
+  drumTickCount = 0;
+  leadInScheduled = false;
   nextNoteTime = audioCtx.currentTime;
   loopStartTime = nextNoteTime;
+  midiClockTickCount = 0;
+
+  // External clock: incoming MIDI clock advances the steps (see handleMidiClockTick)
+  if (isExternalClock()) {
+    startVisualLoop();
+    return;
+  }
 
+  sendMidiClockStart(nextNoteTime);
   scheduler();
   startVisualLoop();
 }
 
 // ---- Stop playback ----
 function stopPlayback() {
+  endRecordPass();
   isPlaying = false;
   isRecording = false;
 
@@ -1336,22 +4069,27 @@ function stopPlayback() {
     clearTimeout(timerID);
     timerID = null;
   }
+  sendMidiClockStop();
+  queuedPattern = null;
+  endingLoop = null;
+  refreshLcdPage("pattern");
 
-  stopCurrent();
+  stopAllVoices();
   stopVisualLoop();
   progressFill.style.width = "0%";
   clearSeqPlayhead();
 }
 
-// ---- Toggle recording (with 4-beat count-in pre-roll) ----
+// ---- Toggle recording (with one-bar count-in pre-roll) ----
 function toggleRecord() {
   if (!isRecording && !isCountingIn) {
+    beginRecordPass();
     if (isPlaying) {
       // Already playing → engage recording immediately (overdub, no count-in)
       isRecording = true;
       recBtn.classList.add("active");
     } else {
-      // Not playing → start a 4-beat count-in, then begin recording
+      // Not playing → start a one-bar count-in, then begin recording
       recBtn.classList.add("active");
       startCountIn();
     }
@@ -1362,18 +4100,39 @@ function toggleRecord() {
     }
     isRecording = false;
     recBtn.classList.remove("active");
+    endRecordPass();
   }
 }
 
 // ---- Clear the sequence ----
+function createEmptySequence() {
+  return Array.from({ length: TOTAL_STEPS }, () => []);
+}
+
 function clearSequence() {
-  sequence.fill(null);
+  sequence.forEach((slot) => { slot.length = 0; });
   renderEventMarkers();
 }
 
-// ---- Record an event (pad hit → sequence at 1/32 resolution) ----
-// index = round( currentTimeInLoop / durationOfOne32ndNote )
-function recordEvent(sliceId) {
+// ---- Put a pad hit on a step (a pad already on that step is overwritten) ----
+// offset: raw timing from the step in 1/32 steps (-0.5 – 0.5); omitted = fixed on the step
+function placeEvent(step, sliceId, velocity, offset, target = sequence) {
+  const slot = target[step];
+  let ev = slot.find((e) => e.pad === sliceId);
+  if (!ev) {
+    ev = { pad: sliceId, vel: velocity };
+    slot.push(ev);
+  }
+  ev.vel = velocity;
+  if (typeof offset === "number") ev.offset = offset;
+  else delete ev.offset;
+}
+
+// ---- Record an event (pad hit → nearest 1/32 slot + raw offset, see QUANTIZE) ----
+// position = currentTimeInLoop / durationOfOne32ndNote, in straight time:
+// the loop start is on the straight grid and the swing is not taken out,
+// so eventShift() can play the hit back exactly where it was played.
+function recordEvent(sliceId, velocity = MAX_VELOCITY) {
   if (!audioCtx) return;
 
   const elapsed = audioCtx.currentTime - loopStartTime;
@@ -1381,21 +4140,28 @@ function recordEvent(sliceId) {
   const thirtySecondDur = secondsPerBeat / THIRTYSECONDS_PER_BEAT;
   const rawStep = elapsed / thirtySecondDur;
 
-  // Snap factor: how many 1/32 steps make up the chosen grid division
-  // 1/8 = 4 thirty-seconds, 1/16 = 2, 1/32 = 1
-  const snapFactor = (quantizeRes === 8) ? 4 : (quantizeRes === 16) ? 2 : 1;
-  const effectiveSteps = getEffectiveSteps();
-  let step = (Math.round(rawStep / snapFactor) * snapFactor) % effectiveSteps;
+  // Played before a pattern switch is heard: the hit belongs to the ending pattern
+  if (endingLoop && Math.round(rawStep) < 0) {
+    const { pattern, steps } = endingLoop;
+    const pos = steps + rawStep;
+    recordUndo("REC", () => captureSequence(pattern), restoreSequence, () => {
+      placeEvent(Math.max(0, Math.round(pos)), sliceId, velocity,
+        Math.round((pos - Math.round(pos)) * 1e4) / 1e4, patterns[pattern].sequence);
+    }, "P" + pattern);
+    return;
+  }
 
-  // Clamp to valid range
-  if (step < 0) step = 0;
-  if (step >= effectiveSteps) step = effectiveSteps - 1;
+  // Wrapped into the loop (a hit just before the loop start belongs to its end)
+  const effectiveSteps = getEffectiveSteps();
+  const pos = ((rawStep % effectiveSteps) + effectiveSteps) % effectiveSteps;
+  const step = Math.round(pos) % effectiveSteps;
 
-  sequence[step] = sliceId;
+  placeEvent(step, sliceId, velocity, Math.round((pos - Math.round(pos)) * 1e4) / 1e4);
   renderEventMarkers();
 
-  // Visual blip on the specific 1/32 tick where the note was placed
-  flashTick(step);
+  // Visual blip on the 1/32 tick where the note will play
+  const shift = eventShift(step, sequence[step].find((ev) => ev.pad === sliceId));
+  flashTick((Math.round(step + shift) + effectiveSteps) % effectiveSteps);
 }
 
 // ---- Transport button listeners ----
@@ -1410,85 +4176,463 @@ playBtn.addEventListener("click", () => {
   }
 });
 stopBtn.addEventListener("click", () => stopPlayback());
-clearBtn.addEventListener("click", () => clearSequence());
+clearBtn.addEventListener("click", () => {
+  recordUndo("CLR", captureSequence, restoreSequence, clearSequence);
+});
 
 // ============================================================
-// VISUAL UPDATES (progress bar, metronome LED, seq playhead)
+// EVENT LIST — MPC-Style Step Edit
+// Every pad event of the loop as BAR.BEAT.TICK (96 ticks per
+// quarter, so one 1/32 step = 12 ticks; beats follow the meter),
+// pad and velocity.  The
+// cursor event can be nudged by one 1/32 step, moved to another
+// pad, re-levelled or deleted; selecting an event auditions it.
+// Times are where a hit plays after quantize; a nudged hit is
+// fixed on its new step.  Arrow keys and Delete work while the
+// page is open.
 // ============================================================
 
-// ---- Start the requestAnimationFrame loop ----
-function startVisualLoop() {
-  if (animFrameID) return;
-  updateVisuals();
+const TICKS_PER_STEP = 12;     // 96 PPQ / 8 steps per quarter
+const EVENT_LIST_ROWS = 6;     // Events shown around the cursor
+
+let eventCursor = null;        // { step, pad } of the selected event (null = first event)
+
+// ---- Events of the live loop by step: [{ step, pad, vel, offset, pos }] ----
+// pos = where the hit plays in 1/32 steps, wrapped into the loop
+function listEvents() {
+  const steps = getEffectiveSteps();
+  const events = [];
+  for (let step = 0; step < steps; step++) {
+    sequence[step].slice()
+      .sort((a, b) => a.pad - b.pad)
+      .forEach((ev) => events.push({
+        step, pad: ev.pad, vel: ev.vel, offset: ev.offset,
+        pos: (step + eventShift(step, ev) + steps) % steps,
+      }));
+  }
+  return events;
 }
 
-// ---- Stop the animation loop ----
-function stopVisualLoop() {
-  if (animFrameID) {
-    cancelAnimationFrame(animFrameID);
-    animFrameID = null;
-  }
+// ---- 1/32 position (fractions allowed) → "BAR.BEAT.TICK" ----
+function formatEventTime(pos) {
+  const ticksPerBeat = getStepsPerBeat() * TICKS_PER_STEP;
+  const ticksPerBar = getStepsPerBar() * TICKS_PER_STEP;
+  const totalTicks = Math.round(pos * TICKS_PER_STEP);
+  const bar = Math.floor(totalTicks / ticksPerBar) + 1;
+  const beat = Math.floor((totalTicks % ticksPerBar) / ticksPerBeat) + 1;
+  const tick = totalTicks % ticksPerBeat;
+  return [String(bar).padStart(3, "0"), String(beat).padStart(2, "0"), String(tick).padStart(2, "0")].join(".");
 }
 
-// ---- Per-frame visual update ----
-function updateVisuals() {
-  if (isPlaying && audioCtx) {
-    const elapsed = audioCtx.currentTime - loopStartTime;
-    const loopDur = getLoopDuration();
-    const progress = Math.min(1, Math.max(0, elapsed / loopDur));
+// ---- Position of the cursor in `events` (-1 = no events) ----
+// A cursor event that is gone (deleted, undone) falls to the next one in time.
+function eventCursorIndex(events) {
+  if (events.length === 0) return -1;
+  if (!eventCursor) return 0;
+  const { step, pad } = eventCursor;
+  const idx = events.findIndex((ev) => ev.step > step || (ev.step === step && ev.pad >= pad));
+  return idx === -1 ? events.length - 1 : idx;
+}
 
-    // In 16-mode the active zone is the first 50% of the physical bar;
-    // in 32-mode the fill spans the full width.
-    const maxWidth = sliceMode === 16 ? 50 : 100;
-    progressFill.style.width = (progress * maxWidth) + "%";
-  }
-  animFrameID = requestAnimationFrame(updateVisuals);
+function auditionEvent(ev) {
+  if (decodedBuffer) playSlice(ev.pad, undefined, ev.vel);
 }
 
-// ---- Flash the metronome LED briefly ----
-function flashMetronome() {
-  metronomeLed.classList.add("flash");
-  setTimeout(() => metronomeLed.classList.remove("flash"), 100);
+function selectEvent(dir) {
+  const events = listEvents();
+  const idx = eventCursorIndex(events);
+  if (idx === -1) return;
+  const ev = events[Math.max(0, Math.min(events.length - 1, idx + dir))];
+  eventCursor = { step: ev.step, pad: ev.pad };
+  auditionEvent(ev);
+  refreshLcdPage("events");
 }
 
-// ---- Flash a grid tick (quantize snap visual) ----
-function flashTick(step) {
-  if (step < 0 || step >= tickElements.length) return;
-  const tick = tickElements[step];
-  tick.classList.add("tick-flash");
-  setTimeout(() => tick.classList.remove("tick-flash"), 200);
+// ---- Undoable edit of the cursor event: edit(copy) returns the new event, or null to delete ----
+// Landing on a step that already holds the same pad overwrites that hit
+// (nudges skip such steps).  Repeated nudges / pad / velocity steps coalesce into one undo entry.
+function editCursorEvent(edit, coalesce = true) {
+  const events = listEvents();
+  const idx = eventCursorIndex(events);
+  if (idx === -1) return null;
+  const ev = events[idx];
+  let result = null;
+  recordUndo("EVENT", captureSequence, restoreSequence, () => {
+    const slot = sequence[ev.step];
+    slot.splice(slot.findIndex((e) => e.pad === ev.pad), 1);
+    result = edit(Object.assign({}, ev));
+    if (result) placeEvent(result.step, result.pad, result.vel, result.offset);
+    eventCursor = { step: result ? result.step : ev.step, pad: result ? result.pad : ev.pad };
+    renderEventMarkers();
+  }, coalesce && "E" + currentPattern);
+  return result;
 }
 
-// ---- Render event markers on the progress bar ----
-function renderEventMarkers() {
-  // Remove existing markers
-  progressTicksContainer.querySelectorAll(".event-marker").forEach((el) => el.remove());
+// Steps already holding the same pad are skipped, so a nudge never
+// overwrites another hit (a full lane leaves the hit where it was).
+function nudgeEvent(dir) {
+  const steps = getEffectiveSteps();
+  editCursorEvent((ev) => {
+    // From where it plays now, so a quantized hit moves by exactly one step
+    let step = (Math.round(ev.pos) + dir + steps) % steps;
+    for (let n = 1; n < steps && sequence[step].some((e) => e.pad === ev.pad); n++) {
+      step = (step + dir + steps) % steps;
+    }
+    if (sequence[step].some((e) => e.pad === ev.pad)) return ev;
+    return Object.assign(ev, { step, offset: undefined });
+  });
+}
+
+function changeEventPad(dir) {
+  const ev = editCursorEvent((e) => Object.assign(e, { pad: Math.max(0, Math.min(NUM_PADS - 1, e.pad + dir)) }));
+  if (ev) auditionEvent(ev);
+}
+
+function changeEventVelocity(dir) {
+  const ev = editCursorEvent((e) => Object.assign(e, { vel: Math.max(1, Math.min(MAX_VELOCITY, e.vel + dir * 5)) }));
+  if (ev) auditionEvent(ev);
+}
+
+function deleteEvent() {
+  editCursorEvent(() => null, false);
+}
+
+registerLcdPage("events", "EVENT LIST", (page) => {
+  const events = listEvents();
+  const idx = eventCursorIndex(events);
+  if (idx === -1) {
+    lcdText(lcdRow(page, ""), "NO EVENTS IN THIS LOOP");
+    return;
+  }
+
+  const first = Math.max(0, Math.min(events.length - EVENT_LIST_ROWS, idx - Math.floor(EVENT_LIST_ROWS / 2)));
+  events.slice(first, first + EVENT_LIST_ROWS).forEach((ev, i) => {
+    const text = formatEventTime(ev.pos) + "  PAD " + String(ev.pad + 1).padStart(2, "0") + "  VEL " + ev.vel;
+    lcdButton(lcdRow(page, String(first + i + 1)), text, () => {
+      eventCursor = { step: ev.step, pad: ev.pad };
+      auditionEvent(ev);
+      renderLcdPage();
+    }).classList.toggle("selected", first + i === idx);
+  });
+
+  const ev = events[idx];
+  lcdStepper(lcdRow(page, "EVENT"), (idx + 1) + "/" + events.length, () => selectEvent(-1), () => selectEvent(1));
+  const editRow = lcdRow(page, "TIME / PAD / VEL");
+  lcdStepper(editRow, formatEventTime(ev.pos), () => nudgeEvent(-1), () => nudgeEvent(1));
+  lcdStepper(editRow, String(ev.pad + 1), () => changeEventPad(-1), () => changeEventPad(1));
+  lcdStepper(editRow, String(ev.vel), () => changeEventVelocity(-1), () => changeEventVelocity(1));
+  lcdButton(lcdRow(page, ""), "[ DELETE ]", () => {
+    deleteEvent();
+    renderLcdPage();
+  }, "Delete the selected event (Del)");
+});
+
+// ---- Keys while the EVENT LIST is open; returns true when handled ----
+function handleEventListKey(e) {
+  const actions = {
+    ArrowUp: () => selectEvent(-1),
+    ArrowDown: () => selectEvent(1),
+    ArrowLeft: () => nudgeEvent(-1),
+    ArrowRight: () => nudgeEvent(1),
+    Delete: deleteEvent,
+    Backspace: deleteEvent,
+  };
+  const action = actions[e.key];
+  if (!action) return false;
+  e.preventDefault();
+  action();
+  return true;
+}
+
+// ============================================================
+// PATTERNS / SONG MODE
+// Eight pattern memories, each with its own pad sequence,
+// drum pattern and loop length.  While playing, a newly
+// selected pattern is queued and takes over at the next loop
+// boundary so the groove never breaks.  Song mode plays an
+// ordered chain of patterns, each repeated N loops, and
+// wraps back to the start of the chain.
+// ============================================================
+
+const SONG_MAX_ENTRIES = 16;
+const SONG_MAX_REPEATS = 16;
+
+let patternCopyTarget = 1;
+
+function createPattern() {
+  return {
+    sequence: createEmptySequence(),
+    drumPattern: createDrumGrid(),
+    drumMix: createDrumMix(),
+    trackSteps: new Array(DRUM_TRACKS).fill(SEQ_STEPS),
+    trackRate: new Array(DRUM_TRACKS).fill("1/16"),
+    trackSlice: new Array(DRUM_TRACKS).fill(null),
+    loopBars: 2,
+    timeSignature: 0,
+  };
+}
+
+// ---- Make a pattern the live one (immediately) ----
+function switchPattern(index) {
+  const continuingPass = isRecording;
+  if (continuingPass) endRecordPass();
+
+  currentPattern = index;
+  queuedPattern = null;
+  sequence = patterns[index].sequence;
+  drumPattern = patterns[index].drumPattern;
+  drumMix = patterns[index].drumMix;
+  trackSteps = patterns[index].trackSteps;
+  trackRate = patterns[index].trackRate;
+  trackSlice = patterns[index].trackSlice;
+  drumTickCount = 0;   // The new pattern's tracks start together from step 1
+  leadInScheduled = false;
+  setLoopLength(patterns[index].loopBars, patterns[index].timeSignature);
+  syncStepSequencer();
+  applyDrumMix();
+  refreshLcdPage("pattern");
+
+  // A recording pass never spans two patterns
+  if (continuingPass) beginRecordPass();
+}
+
+// ---- Select from the panel: queued while playing, immediate when stopped ----
+function selectPattern(index) {
+  const target = ((index % PATTERN_SLOTS) + PATTERN_SLOTS) % PATTERN_SLOTS;
+  if (isPlaying && !isCountingIn) {
+    queuedPattern = target === currentPattern ? null : target;
+    refreshLcdPage("pattern");
+  } else {
+    switchPattern(target);
+  }
+}
+
+// ---- Called by the sequencer each time the loop wraps to step 0 ----
+// The switch happens when the boundary is scheduled, ahead of when it
+// is heard; endingLoop lets recordEvent() put hits played in between
+// into the pattern that is still sounding.
+function handleLoopBoundary() {
+  if (isBouncing) return;
+  const ending = { pattern: currentPattern, steps: getEffectiveSteps() };
+  if (songMode) advanceSong();
+  if (queuedPattern !== null) switchPattern(queuedPattern);
+  endingLoop = currentPattern !== ending.pattern ? ending : null;
+}
+
+// ---- Pattern that handleLoopBoundary() will leave playing (null: none, see BOUNCE) ----
+function patternAfterLoop() {
+  if (isBouncing) return bounceFinalLoop ? null : currentPattern;
+  if (songMode && songLoopsPlayed + 1 >= songChain[songPosition].repeats) {
+    return songChain[(songPosition + 1) % songChain.length].pattern;
+  }
+  return queuedPattern !== null ? queuedPattern : currentPattern;
+}
+
+// ---- Song chain ----
+function rewindSong() {
+  if (!songMode) return;
+  songPosition = 0;
+  songLoopsPlayed = 0;
+  if (songChain[0].pattern !== currentPattern) switchPattern(songChain[0].pattern);
+  queuedPattern = null;
+}
+
+function advanceSong() {
+  songLoopsPlayed++;
+  if (songLoopsPlayed < songChain[songPosition].repeats) return;
+  songLoopsPlayed = 0;
+  songPosition = (songPosition + 1) % songChain.length;
+  const next = songChain[songPosition].pattern;
+  queuedPattern = next === currentPattern ? null : next;
+  setTimeout(() => refreshLcdPage("pattern"), 0);
+}
+
+function setSongMode(enabled) {
+  songMode = enabled;
+  queuedPattern = null;
+  if (songMode && isPlaying) {
+    // Join the chain at the entry for the current pattern (or the top)
+    const idx = songChain.findIndex((entry) => entry.pattern === currentPattern);
+    songPosition = Math.max(0, idx);
+    songLoopsPlayed = 0;
+    if (idx === -1) queuedPattern = songChain[0].pattern;
+  }
+  refreshLcdPage("pattern");
+}
+
+// ---- Copy the live pattern over another slot ----
+function clonePattern(pattern) {
+  return {
+    sequence: pattern.sequence.map((slot) => slot.map((ev) => Object.assign({}, ev))),
+    drumPattern: cloneDrumGrid(pattern.drumPattern),
+    drumMix: JSON.parse(JSON.stringify(pattern.drumMix)),
+    trackSteps: pattern.trackSteps.slice(),
+    trackRate: pattern.trackRate.slice(),
+    trackSlice: pattern.trackSlice.slice(),
+    loopBars: pattern.loopBars,
+    timeSignature: pattern.timeSignature,
+  };
+}
+
+// ---- Undoable copy: the overwritten slot is kept whole ----
+function capturePatternSlot(index) {
+  return { index, pattern: clonePattern(patterns[index]) };
+}
+
+function restorePatternSlot(state) {
+  patterns[state.index] = clonePattern(state.pattern);
+  // The live pattern's globals point into the slot: rebind them
+  if (state.index === currentPattern) switchPattern(state.index);
+  refreshLcdPage("pattern");
+}
+
+function copyPatternTo(target) {
+  if (target === currentPattern) return;
+  recordUndo("COPY", () => capturePatternSlot(target), restorePatternSlot, () => {
+    patterns[target] = clonePattern(patterns[currentPattern]);
+  });
+  refreshLcdPage("pattern");
+}
+
+function patternLabel(index) {
+  return "P" + (index + 1);
+}
+
+registerLcdPage("pattern", "PATTERN / SONG", (page) => {
+  let status = patternLabel(currentPattern);
+  if (queuedPattern !== null) status += " > " + patternLabel(queuedPattern);
+  lcdStepper(lcdRow(page, "PATTERN"), status,
+    () => selectPattern((queuedPattern !== null ? queuedPattern : currentPattern) - 1),
+    () => selectPattern((queuedPattern !== null ? queuedPattern : currentPattern) + 1));
+
+  const copyRow = lcdRow(page, "COPY TO");
+  lcdStepper(copyRow, patternLabel(patternCopyTarget),
+    () => { patternCopyTarget = (patternCopyTarget + PATTERN_SLOTS - 1) % PATTERN_SLOTS; },
+    () => { patternCopyTarget = (patternCopyTarget + 1) % PATTERN_SLOTS; });
+  lcdButton(copyRow, "COPY", () => copyPatternTo(patternCopyTarget),
+    "Copy the current pattern over the selected slot");
+
+  const songRow = lcdRow(page, "SONG");
+  lcdStepper(songRow, songMode ? "ON" : "OFF", () => setSongMode(!songMode), () => setSongMode(!songMode));
+  if (songMode && isPlaying) {
+    lcdText(songRow, (songPosition + 1) + "/" + songChain.length +
+      "  LOOP " + (songLoopsPlayed + 1) + "/" + songChain[songPosition].repeats);
+  }
+
+  songChain.forEach((entry, i) => {
+    const row = lcdRow(page, String(i + 1).padStart(2, "0"));
+    row.classList.toggle("selected", songMode && isPlaying && i === songPosition);
+    lcdStepper(row, patternLabel(entry.pattern),
+      () => { entry.pattern = (entry.pattern + PATTERN_SLOTS - 1) % PATTERN_SLOTS; },
+      () => { entry.pattern = (entry.pattern + 1) % PATTERN_SLOTS; });
+    lcdStepper(row, "x" + entry.repeats,
+      () => { entry.repeats = Math.max(1, entry.repeats - 1); },
+      () => { entry.repeats = Math.min(SONG_MAX_REPEATS, entry.repeats + 1); });
+    if (songChain.length > 1) {
+      lcdButton(row, "DEL", () => {
+        songChain.splice(i, 1);
+        if (songPosition >= songChain.length) songPosition = 0;
+        renderLcdPage();
+      }, "Remove this step from the chain");
+    }
+  });
+
+  if (songChain.length < SONG_MAX_ENTRIES) {
+    lcdButton(lcdRow(page, ""), "+ ADD", () => {
+      const last = songChain[songChain.length - 1];
+      songChain.push({ pattern: last.pattern, repeats: last.repeats });
+      renderLcdPage();
+    }, "Append a step to the chain");
+  }
+});
+
+// ============================================================
+// VISUAL UPDATES (progress bar, metronome LED, seq playhead)
+// ============================================================
+
+// ---- Start the requestAnimationFrame loop ----
+function startVisualLoop() {
+  if (animFrameID) return;
+  updateVisuals();
+}
+
+// ---- Stop the animation loop ----
+function stopVisualLoop() {
+  if (animFrameID) {
+    cancelAnimationFrame(animFrameID);
+    animFrameID = null;
+  }
+}
+
+// ---- Per-frame visual update ----
+function updateVisuals() {
+  if (isPlaying && audioCtx) {
+    const elapsed = audioCtx.currentTime - loopStartTime;
+    const loopDur = getLoopDuration();
+    const progress = Math.min(1, Math.max(0, elapsed / loopDur));
+
+    // For a 1-bar loop the active zone is the first 50% of the physical bar;
+    // longer loops fill the full width.
+    const maxWidth = getLoopWidth();
+    progressFill.style.width = (progress * maxWidth) + "%";
+  }
+  animFrameID = requestAnimationFrame(updateVisuals);
+}
+
+// ---- Flash the metronome LED briefly ----
+function flashMetronome() {
+  metronomeLed.classList.add("flash");
+  setTimeout(() => metronomeLed.classList.remove("flash"), 100);
+}
+
+// ---- Flash a grid tick (quantize snap visual) ----
+function flashTick(step) {
+  if (step < 0 || step >= tickElements.length) return;
+  const tick = tickElements[step];
+  tick.classList.add("tick-flash");
+  setTimeout(() => tick.classList.remove("tick-flash"), 200);
+}
+
+// ---- Render event markers on the progress bar ----
+function renderEventMarkers() {
+  // Remove existing markers
+  progressTicksContainer.querySelectorAll(".event-marker").forEach((el) => el.remove());
 
   const effectiveSteps = getEffectiveSteps();
-  // In 16-mode markers occupy the first 50% of the bar width;
-  // in 32-mode they span the full width.
-  const maxWidth = sliceMode === 16 ? 50 : 100;
+  // A 1-bar loop's markers occupy the first 50% of the bar width;
+  // longer loops span the full width.
+  const maxWidth = getLoopWidth();
   for (let i = 0; i < effectiveSteps; i++) {
-    if (sequence[i] !== null) {
+    // One marker per step the hits play in (after quantize)
+    const hits = eventsAtStep(i);
+    if (hits.length > 0) {
       const marker = document.createElement("div");
       marker.className = "event-marker";
-      marker.style.left = ((i / effectiveSteps) * maxWidth) + "%";
+      marker.style.left = (((i + Math.min(...hits.map((ev) => ev.frac))) / effectiveSteps) * maxWidth) + "%";
+      // Marker height follows the loudest event on the step (louder = taller)
+      const vel = Math.max(...hits.map((ev) => ev.vel));
+      marker.style.height = Math.max(2, Math.round((vel / MAX_VELOCITY) * 16)) + "px";
       progressTicksContainer.appendChild(marker);
     }
   }
+  refreshLcdPage("events");
 }
 
 // ---- Update step sequencer running playhead (column highlight) ----
-function updateSeqPlayhead(stepIdx) {
-  for (let tr = 0; tr < seqStepElements.length; tr++) {
-    for (let s = 0; s < seqStepElements[tr].length; s++) {
-      seqStepElements[tr][s].classList.toggle("current", s === stepIdx);
-    }
+// Each row has its own playhead (tracks differ in length and rate)
+function updateSeqPlayhead(tr, stepIdx) {
+  if (!isPlaying) return;
+  seqPlayheadSteps[tr] = stepIdx;
+  const offset = seqStepPage * SEQ_STEPS;
+  const row = seqStepElements[tr];
+  for (let s = 0; s < row.length; s++) {
+    row[s].classList.toggle("current", offset + s === stepIdx);
   }
 }
 
 // ---- Clear step sequencer playhead ----
 function clearSeqPlayhead() {
+  seqPlayheadSteps.fill(-1);
   for (let tr = 0; tr < seqStepElements.length; tr++) {
     for (let s = 0; s < seqStepElements[tr].length; s++) {
       seqStepElements[tr][s].classList.remove("current");
@@ -1515,6 +4659,20 @@ document.addEventListener("keydown", (e) => {
   // Ignore if typing in an input field
   if (e.target.tagName === "INPUT") return;
 
+  // Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl+Y = redo
+  // Other Ctrl/Cmd combinations fall through to the keys below
+  if (e.ctrlKey || e.metaKey) {
+    const k = e.key.toLowerCase();
+    if (k === "z" || k === "y") {
+      e.preventDefault();
+      if (k === "y" || e.shiftKey) redo();
+      else undo();
+      return;
+    }
+  }
+
+  if (isLcdPageOpen("events") && handleEventListKey(e)) return;
+
   // Shift key = momentary Note Repeat (activate on press)
   if (e.key === "Shift" && !e.repeat) {
     shiftHeld = true;
@@ -1557,9 +4715,442 @@ document.addEventListener("keyup", (e) => {
   const padIdx = keyMap[key];
   if (padIdx !== undefined) {
     keyPressedPads.delete(padIdx);
+    releasePad(padIdx);
+  }
+});
+
+// ============================================================
+// WEB MIDI INPUT
+// Note-on → triggerPad (learnable note per pad), sustain or a
+// learnable CC → Note Repeat hold, System Real-Time Start /
+// Continue / Stop and learnable REC / PLAY / STOP CCs → the
+// transport.  All connected inputs are merged; the mapping is
+// kept in localStorage because it belongs to the controller,
+// not to a project.
+// ============================================================
+
+const MIDI_STORAGE_KEY = "hal60-midi-map";
+const MIDI_TRANSPORT_KEYS = ["rec", "play", "stop"];
+
+const DEFAULT_MIDI_MAP = {
+  enabled: false,
+  channel: 0,                                               // 0 = omni, 1-16
+  padNotes: Array.from({ length: NUM_PADS }, (_, i) => 36 + i), // MPD-style C1 upwards
+  repeatCc: 64,                                             // Sustain pedal
+  transportCc: { rec: -1, play: -1, stop: -1 },             // -1 = unassigned
+  clockOut: "",                                             // Output port name ("" = off)
+  clockIn: false,                                           // true = follow external clock
+};
+
+let midiMap = loadMidiMap();
+let midiAccess = null;
+let midiLearnTarget = null;   // null | { type: "pad", index } | { type: "cc", key }
+let midiPadSelect = 0;
+let midiMessage = "";
+
+function loadMidiMap() {
+  const map = JSON.parse(JSON.stringify(DEFAULT_MIDI_MAP));
+  try {
+    const saved = JSON.parse(localStorage.getItem(MIDI_STORAGE_KEY) || "null");
+    if (saved) {
+      Object.assign(map, saved);
+      map.transportCc = Object.assign({}, DEFAULT_MIDI_MAP.transportCc, saved.transportCc);
+      if (!Array.isArray(map.padNotes) || map.padNotes.length !== NUM_PADS) {
+        map.padNotes = DEFAULT_MIDI_MAP.padNotes.slice();
+      }
+    }
+  } catch (err) {
+    console.warn("MIDI map reset:", err.message);
+  }
+  return map;
+}
+
+function saveMidiMap() {
+  try {
+    localStorage.setItem(MIDI_STORAGE_KEY, JSON.stringify(midiMap));
+  } catch (_) {
+    // storage may be unavailable (private mode) — mapping lasts for this session
+  }
+}
+
+// 36 = C1 (the convention printed on most pad controllers)
+function midiNoteName(note) {
+  const names = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+  return names[note % 12] + (Math.floor(note / 12) - 2);
+}
+
+// ---- Request access and listen to every input (hot-plug aware) ----
+function enableMidi() {
+  if (!navigator.requestMIDIAccess) {
+    console.warn("Web MIDI is not available in this browser");
+    midiMessage = "WEB MIDI NOT SUPPORTED";
+    // Switch back off so the toggle shows the real state
+    midiMap.enabled = false;
+    saveMidiMap();
+    refreshLcdPage("midi");
+    return Promise.resolve(null);
+  }
+  if (midiAccess) return Promise.resolve(midiAccess);
+  return navigator.requestMIDIAccess().then((access) => {
+    midiAccess = access;
+    const attach = () => {
+      access.inputs.forEach((input) => {
+        input.onmidimessage = handleMidiMessage;
+      });
+      refreshLcdPage("midi");
+      refreshLcdPage("sync");
+    };
+    access.onstatechange = attach;
+    attach();
+    return access;
+  });
+}
+
+function disableMidi() {
+  if (midiAccess) {
+    midiAccess.inputs.forEach((input) => {
+      input.onmidimessage = null;
+    });
+    midiAccess.onstatechange = null;
+    midiAccess = null;
+  }
+  midiPressedPads.clear();
+  midiRepeatHeld = false;
+}
+
+function setMidiEnabled(enabled) {
+  midiMap.enabled = enabled;
+  saveMidiMap();
+  if (!enabled) {
+    disableMidi();
+    return;
+  }
+  enableMidi()
+    .catch((err) => {
+      console.warn("MIDI access denied:", err);
+      midiMessage = "MIDI ACCESS DENIED";
+      // Switch back off so the next startup does not ask again
+      midiMap.enabled = false;
+      saveMidiMap();
+    })
+    .then(() => refreshLcdPage("midi"));
+}
+
+// ---- Incoming message dispatch ----
+function handleMidiMessage(e) {
+  const [statusByte, data1, data2] = e.data;
+
+  // System Real-Time (single byte, no channel)
+  if (statusByte >= 0xf8) {
+    handleMidiRealtime(statusByte, e.timeStamp);
+    return;
+  }
+
+  // Song Position Pointer (system common, no channel)
+  if (statusByte === 0xf2) {
+    handleMidiSongPosition(data1 | (data2 << 7));
+    return;
+  }
+
+  const type = statusByte & 0xf0;
+  const channel = (statusByte & 0x0f) + 1;
+  if (midiMap.channel !== 0 && channel !== midiMap.channel) return;
+
+  if (type === 0x90 && data2 > 0) {
+    handleMidiNoteOn(data1, data2);
+  } else if (type === 0x80 || (type === 0x90 && data2 === 0)) {
+    handleMidiNoteOff(data1);
+  } else if (type === 0xb0) {
+    handleMidiCc(data1, data2);
+  }
+}
+
+function handleMidiRealtime(statusByte, stamp) {
+  switch (statusByte) {
+    case 0xf8: // Timing Clock
+      if (isExternalClock()) handleMidiClockTick(stamp);
+      break;
+    case 0xfa: // Start — from the top
+      stopPlayback();
+      startPlayback();
+      break;
+    case 0xfb: // Continue — from the last Song Position Pointer under external clock
+      if (isPlaying) break;
+      startPlayback();
+      if (isExternalClock()) {
+        currentStep = midiSongPositionStep;
+        drumTickCount = midiSongPositionStep;
+      }
+      break;
+    case 0xfc: // Stop
+      stopPlayback();
+      break;
+  }
+}
+
+function handleMidiNoteOn(note, velocity) {
+  if (midiLearnTarget && midiLearnTarget.type === "pad") {
+    assignMidiPadNote(midiLearnTarget.index, note);
+    return;
+  }
+  const padIdx = midiMap.padNotes.indexOf(note);
+  if (padIdx === -1) return;
+  triggerPad(padIdx, velocity);
+  midiPressedPads.add(padIdx);
+}
+
+function handleMidiNoteOff(note) {
+  const padIdx = midiMap.padNotes.indexOf(note);
+  if (padIdx !== -1) {
+    midiPressedPads.delete(padIdx);
+    releasePad(padIdx);
+  }
+}
+
+function handleMidiCc(cc, value) {
+  if (midiLearnTarget && midiLearnTarget.type === "cc") {
+    assignMidiCc(midiLearnTarget.key, cc);
+    return;
+  }
+
+  const pressed = value >= 64;
+  if (cc === midiMap.repeatCc) {
+    midiRepeatHeld = pressed;
+    return;
+  }
+  if (!pressed) return;
+
+  if (cc === midiMap.transportCc.rec) {
+    toggleRecord();
+  } else if (cc === midiMap.transportCc.play) {
+    // Same as the PLAY button: restart when already running
+    if (isPlaying) stopPlayback();
+    startPlayback();
+  } else if (cc === midiMap.transportCc.stop) {
+    stopPlayback();
+  }
+}
+
+// ============================================================
+// MIDI CLOCK — 24 PPQN Out / External Clock In
+// OUT: three clocks per 1/32 step, laid on the straight grid
+// under each step the look-ahead scheduler emits (swing is the
+// receiver's business), with Song Position 0 + Start on play
+// and Stop on stop.  Timestamps are mapped from AudioContext
+// time to the performance clock that MIDIOutput.send() uses.
+// IN (EXT): the scheduler timer stays off; every third incoming
+// clock schedules one step, and the tick spacing sets the tempo
+// shown on the LCD.  Clock out is only sent under INT clock.
+// ============================================================
+
+const MIDI_CLOCKS_PER_BEAT = 24;
+const MIDI_CLOCKS_PER_STEP = MIDI_CLOCKS_PER_BEAT / THIRTYSECONDS_PER_BEAT; // 3
+const MIDI_SLAVE_LATENCY = 0.03;   // seconds added to incoming clock before scheduling
+
+let midiClockTickCount = 0;        // Clocks received since Start / PLAY (EXT)
+let midiClockStamps = [];          // Recent incoming clock timestamps (ms) for tempo
+let midiSongPositionStep = 0;      // Step to resume from on Continue (EXT)
+
+function contextTimeToMidi(time) {
+  const ts = audioCtx.getOutputTimestamp ? audioCtx.getOutputTimestamp() : null;
+  if (ts && ts.performanceTime) return ts.performanceTime + (time - ts.contextTime) * 1000;
+  return performance.now() + (time - audioCtx.currentTime) * 1000;
+}
+
+function midiTimeToContext(stamp) {
+  const ts = audioCtx.getOutputTimestamp ? audioCtx.getOutputTimestamp() : null;
+  if (ts && ts.performanceTime) return ts.contextTime + (stamp - ts.performanceTime) / 1000;
+  return audioCtx.currentTime + (stamp - performance.now()) / 1000;
+}
+
+// EXT only applies while MIDI input is actually open
+function isExternalClock() {
+  return midiMap.clockIn && midiAccess !== null;
+}
+
+function getMidiClockOutput() {
+  if (!midiAccess || !midiMap.clockOut || midiMap.clockIn) return null;
+  let found = null;
+  midiAccess.outputs.forEach((output) => {
+    if (output.name === midiMap.clockOut) found = output;
+  });
+  return found;
+}
+
+// ---- OUT ----
+function sendMidiClockTicks(step, time) {
+  const output = getMidiClockOutput();
+  if (!output) return;
+  const straight = time - getSwingOffset(step);
+  const clockDur = (60.0 / bpm) / MIDI_CLOCKS_PER_BEAT;
+  for (let i = 0; i < MIDI_CLOCKS_PER_STEP; i++) {
+    output.send([0xf8], contextTimeToMidi(straight + i * clockDur));
+  }
+}
+
+function sendMidiClockStart(time) {
+  const output = getMidiClockOutput();
+  if (!output) return;
+  output.send([0xf2, 0, 0]);                        // Song Position = 0
+  output.send([0xfa], contextTimeToMidi(time));
+}
+
+function sendMidiClockStop() {
+  const output = getMidiClockOutput();
+  if (output) output.send([0xfc]);
+}
+
+// ---- IN ----
+function handleMidiClockTick(stamp) {
+  if (!audioCtx) return;
+
+  // Tempo from the average spacing of the last beat's worth of clocks
+  midiClockStamps.push(stamp);
+  if (midiClockStamps.length > MIDI_CLOCKS_PER_BEAT + 1) midiClockStamps.shift();
+  if (midiClockStamps.length > MIDI_CLOCKS_PER_BEAT) {
+    const beatMs = midiClockStamps[midiClockStamps.length - 1] - midiClockStamps[0];
+    if (beatMs > 0) {
+      bpm = 60000 / beatMs;
+      lcdBpmDisplay.textContent = "EXT " + bpm.toFixed(1) + " BPM";
+      scheduleWarpUpdate();
+      scheduleSendFxUpdate();
+    }
+  }
+
+  if (!isPlaying || isCountingIn) return;
+
+  if (midiClockTickCount % MIDI_CLOCKS_PER_STEP === 0) {
+    const time = Math.max(audioCtx.currentTime, midiTimeToContext(stamp) + MIDI_SLAVE_LATENCY);
+    if (currentStep === 0) loopStartTime = time;
+    nextNoteTime = time;
+    scheduleNote(currentStep, time + getSwingOffset(currentStep));
+    currentStep = (currentStep + 1) % getEffectiveSteps();
+    if (currentStep === 0) {
+      handleLoopBoundary();
+      leadInScheduled = true;
+    }
+  }
+  midiClockTickCount++;
+}
+
+// SPP counts MIDI beats (1/16 notes = 2 internal steps)
+function handleMidiSongPosition(sixteenths) {
+  midiSongPositionStep = (sixteenths * STEPS_PER_SIXTEENTH) % getEffectiveSteps();
+}
+
+function setMidiClockIn(enabled) {
+  stopPlayback();
+  midiMap.clockIn = enabled;
+  midiClockStamps = [];
+  saveMidiMap();
+  // Back on the internal clock: restore the panel tempo
+  if (!enabled) setBpm(bpmInput.value);
+}
+
+function cycleMidiClockOut(dir) {
+  const names = [""];
+  if (midiAccess) midiAccess.outputs.forEach((output) => names.push(output.name));
+  const idx = Math.max(0, names.indexOf(midiMap.clockOut));
+  midiMap.clockOut = names[(idx + dir + names.length) % names.length];
+  saveMidiMap();
+}
+
+registerLcdPage("sync", "SYNC", (page) => {
+  lcdStepper(lcdRow(page, "CLOCK"), midiMap.clockIn ? "EXT" : "INT",
+    () => setMidiClockIn(false),
+    () => setMidiClockIn(true));
+  lcdStepper(lcdRow(page, "CLOCK OUT"), midiMap.clockOut || "OFF",
+    () => cycleMidiClockOut(-1),
+    () => cycleMidiClockOut(1));
+
+  let status = "INTERNAL " + bpm + " BPM";
+  if (!midiAccess) {
+    status = "ENABLE MIDI IN ON THE MIDI PAGE";
+  } else if (midiMap.clockIn) {
+    status = midiClockStamps.length > MIDI_CLOCKS_PER_BEAT ? "LOCKED" : "WAITING FOR CLOCK";
+  } else if (midiMap.clockOut && !getMidiClockOutput()) {
+    status = "OUTPUT NOT CONNECTED";
   }
+  lcdText(lcdRow(page, "STATUS"), status);
 });
 
+// ---- Learn / assign ----
+function assignMidiPadNote(padIdx, note) {
+  // A note drives one pad only: release it from any other pad first
+  const previous = midiMap.padNotes.indexOf(note);
+  if (previous !== -1 && previous !== padIdx) midiMap.padNotes[previous] = -1;
+  midiMap.padNotes[padIdx] = note;
+  midiLearnTarget = null;
+  midiMessage = "PAD " + (padIdx + 1) + " = " + midiNoteName(note);
+  saveMidiMap();
+  refreshLcdPage("midi");
+}
+
+function assignMidiCc(key, cc) {
+  if (key === "repeat") {
+    midiMap.repeatCc = cc;
+  } else {
+    midiMap.transportCc[key] = cc;
+  }
+  midiLearnTarget = null;
+  midiMessage = key.toUpperCase() + " = CC " + cc;
+  saveMidiMap();
+  refreshLcdPage("midi");
+}
+
+function startMidiLearn(target, prompt) {
+  midiLearnTarget = target;
+  midiMessage = prompt;
+  refreshLcdPage("midi");
+}
+
+function ccLabel(cc) {
+  return cc >= 0 ? "CC " + cc : "--";
+}
+
+// ---- MIDI page on the LCD ----
+registerLcdPage("midi", "MIDI", (page) => {
+  const enableRow = lcdRow(page, "MIDI IN");
+  lcdStepper(enableRow, midiMap.enabled ? "ON" : "OFF",
+    () => setMidiEnabled(false),
+    () => setMidiEnabled(true));
+  if (midiAccess) {
+    const names = [];
+    midiAccess.inputs.forEach((input) => names.push(input.name));
+    lcdText(enableRow, names.length ? names.join(", ") : "NO INPUTS");
+  }
+
+  lcdStepper(lcdRow(page, "CHANNEL"), midiMap.channel === 0 ? "ALL" : String(midiMap.channel),
+    () => { midiMap.channel = Math.max(0, midiMap.channel - 1); saveMidiMap(); },
+    () => { midiMap.channel = Math.min(16, midiMap.channel + 1); saveMidiMap(); });
+
+  const padRow = lcdRow(page, "PAD");
+  lcdStepper(padRow, String(midiPadSelect + 1),
+    () => { midiPadSelect = Math.max(0, midiPadSelect - 1); },
+    () => { midiPadSelect = Math.min(NUM_PADS - 1, midiPadSelect + 1); });
+  const note = midiMap.padNotes[midiPadSelect];
+  lcdText(padRow, note >= 0 ? "NOTE " + note + " " + midiNoteName(note) : "NOTE --");
+  lcdButton(padRow, "[ LEARN ]", () => {
+    const index = midiPadSelect;
+    startMidiLearn({ type: "pad", index }, "HIT A NOTE FOR PAD " + (index + 1));
+  }, "Assign the next incoming note to this pad");
+
+  const ccRows = [["repeat", "REPEAT", midiMap.repeatCc]]
+    .concat(MIDI_TRANSPORT_KEYS.map((key) => [key, key.toUpperCase(), midiMap.transportCc[key]]));
+  ccRows.forEach(([key, label, cc]) => {
+    const row = lcdRow(page, label);
+    lcdText(row, ccLabel(cc));
+    lcdButton(row, "[ LEARN ]", () => {
+      startMidiLearn({ type: "cc", key }, "MOVE A CONTROL FOR " + label);
+    }, "Assign the next incoming CC");
+  });
+
+  lcdText(lcdRow(page, "STATUS"), midiMessage || (midiAccess ? "LISTENING" : "OFF"));
+});
+
+// Re-open MIDI on startup if it was enabled last time (permission is remembered)
+if (midiMap.enabled) setMidiEnabled(true);
+
 // ============================================================
 // HARDWARE BOOT SEQUENCE
 // Simulates a vintage CRT startup on page load:
@@ -1608,33 +5199,1272 @@ document.addEventListener("keyup", (e) => {
   }, revealTime);
 })();
 
+// ============================================================
+// PROJECT SAVE / LOAD
+// A project is a versioned JSON snapshot of the session
+// (settings, patterns, song chain, slice points) plus the
+// sample file itself and the one in the RESAMPLE second slot.  Projects live in IndexedDB under the
+// numbered LCD slots and an automatic "session" record that
+// is restored on startup, and can be exported / imported as
+// a single .hal60 file with the audio embedded as a data URL.
+// ============================================================
+
+const PROJECT_FORMAT = "hal60-project";
+const PROJECT_VERSION = 17;
+const PROJECT_SLOTS = 8;
+const SESSION_KEY = "session";
+const PROJECT_DB_NAME = "hal60";
+const PROJECT_DB_STORE = "projects";
+
+let projectDb = null;
+let projectSlot = 1;
+let projectMessage = "";
+
+// ---- IndexedDB helpers (Promise-wrapped) ----
+function openProjectDb() {
+  if (projectDb) return Promise.resolve(projectDb);
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(PROJECT_DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(PROJECT_DB_STORE);
+    req.onsuccess = () => {
+      projectDb = req.result;
+      resolve(projectDb);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function projectDbRequest(mode, makeRequest) {
+  return openProjectDb().then((db) => new Promise((resolve, reject) => {
+    const store = db.transaction(PROJECT_DB_STORE, mode).objectStore(PROJECT_DB_STORE);
+    const req = makeRequest(store);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+function projectDbGet(key) {
+  return projectDbRequest("readonly", (store) => store.get(key));
+}
+
+function projectDbPut(key, value) {
+  return projectDbRequest("readwrite", (store) => store.put(value, key));
+}
+
+function projectSlotKey(slot) {
+  return "slot-" + slot;
+}
+
+// ---- Snapshot the current session (audio excluded) ----
+function serializeProject() {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    settings: {
+      bpm,
+      bpmRange,
+      swingPercent,
+      quantizeRes,
+      quantizeEnabled,
+      quantizeStrength,
+      quantizeWindow,
+      currentDrumBank,
+      drumBankName: drumBanks[currentDrumBank].name,
+      // The voice parameters travel too: user banks and factory edits are local
+      drumBank: sanitizeDrumBank(drumBanks[currentDrumBank], drumBanks[currentDrumBank].name),
+      drumTrackCount,
+      semitones,
+      bumpAmount,
+      converterModel,
+      fx: Object.assign({}, fxParams),
+      metronomeEnabled,
+      sliceDetectMode,
+      sliceSensitivity,
+      fullLevel,
+    },
+    patterns: patterns.map((pattern) => ({
+      sequence: pattern.sequence.map((slot) => slot.map((ev) => ({ pad: ev.pad, vel: ev.vel, offset: ev.offset }))),
+      drumPattern: cloneDrumGrid(pattern.drumPattern),
+      drumMix: JSON.parse(JSON.stringify(pattern.drumMix)),
+      trackSteps: pattern.trackSteps.slice(),
+      trackRate: pattern.trackRate.slice(),
+      trackSlice: pattern.trackSlice.slice(),
+      loopBars: pattern.loopBars,
+      timeSignature: TIME_SIGNATURES[pattern.timeSignature].label,
+    })),
+    currentPattern,
+    song: {
+      enabled: songMode,
+      chain: songChain.map((entry) => ({ pattern: entry.pattern, repeats: entry.repeats })),
+    },
+    padChokeGroup: padChokeGroup.slice(),
+    sample: sampleFile ? {
+      name: sampleFile.name,
+      type: sampleFile.type,
+      regions: regions.map((r) => ({ start: r.start, end: r.end, params: Object.assign({}, r.params) })),
+      warp: { enabled: warpEnabled, tempo: sampleTempo },
+    } : null,
+    altSample: altSample ? {
+      name: altSample.file.name,
+      type: altSample.file.type,
+      regions: altSample.bounds,
+      warp: Object.assign({}, altSample.warp),
+    } : null,
+  };
+}
+
+// ---- Validate and upgrade an older snapshot to PROJECT_VERSION ----
+// Each format change adds one step here so old files keep loading.
+function migrateProject(data) {
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error("Not a HAL-60 project");
+  }
+  if (!(data.version >= 1) || data.version > PROJECT_VERSION) {
+    throw new Error("Unsupported project version " + data.version);
+  }
+  // v1 → v2: sequence slots held a bare sliceId; now { pad, vel }
+  if (data.version === 1) {
+    data.sequence = (data.sequence || []).map((sliceId) =>
+      (sliceId === null ? null : { pad: sliceId, vel: MAX_VELOCITY }));
+    data.version = 2;
+  }
+  // v2 → v3: one event (or null) per step became a list of events per step
+  if (data.version === 2) {
+    data.sequence = (data.sequence || []).map((ev) => (ev ? [ev] : []));
+    data.version = 3;
+  }
+  // v3 → v4: the single sequence + drum pattern became pattern slot 1
+  if (data.version === 3) {
+    data.patterns = [{
+      sequence: data.sequence,
+      drumPattern: data.drumPattern,
+      sliceMode: data.settings && data.settings.sliceMode,
+    }];
+    data.currentPattern = 0;
+    delete data.sequence;
+    delete data.drumPattern;
+    data.version = 4;
+  }
+  // v4 → v5: the project-wide drum track level / tune moved into every pattern's mixer
+  if (data.version === 4) {
+    (data.patterns || []).forEach((pattern) => {
+      if (pattern) pattern.drumMix = { vol: data.drumTrackVol, pitch: data.drumTrackPitch };
+    });
+    delete data.drumTrackVol;
+    delete data.drumTrackPitch;
+    data.version = 5;
+  }
+  // v5 → v6: drum rows grew to MAX_TRACK_STEPS with a length and rate per track
+  if (data.version === 5) {
+    (data.patterns || []).forEach((pattern) => {
+      if (!pattern) return;
+      pattern.trackSteps = new Array(DRUM_TRACKS).fill(SEQ_STEPS);
+      pattern.trackRate = new Array(DRUM_TRACKS).fill("1/16");
+    });
+    data.version = 6;
+  }
+  // v6 → v7: drum steps were booleans; now null or { vel, prob, ratchet, nudge }
+  if (data.version === 6) {
+    (data.patterns || []).forEach((pattern) => {
+      if (!pattern || !Array.isArray(pattern.drumPattern)) return;
+      pattern.drumPattern = pattern.drumPattern.map((row) =>
+        (Array.isArray(row) ? row.map((on) => (on ? createDrumStep() : null)) : row));
+    });
+    data.version = 7;
+  }
+  // v7 → v8: the drum bank travels by name with its voice parameters, not by index
+  if (data.version === 7) {
+    const st = data.settings = data.settings || {};
+    if (typeof st.drumBankName !== "string") {
+      st.drumBankName = (DRUM_BANKS[st.currentDrumBank] || DRUM_BANKS[0]).name;
+    }
+    if (!st.drumBank || typeof st.drumBank !== "object") st.drumBank = null;
+    data.version = 8;
+  }
+  // v8 → v9: the number of drum tracks shown (4 – 10) is saved
+  if (data.version === 8) {
+    const st = data.settings = data.settings || {};
+    if (typeof st.drumTrackCount !== "number") st.drumTrackCount = MIN_DRUM_TRACKS;
+    data.version = 9;
+  }
+  // v9 → v10: every drum track has a sound source (null = its synth voice)
+  if (data.version === 9) {
+    (data.patterns || []).forEach((pattern) => {
+      if (pattern && !Array.isArray(pattern.trackSlice)) pattern.trackSlice = new Array(DRUM_TRACKS).fill(null);
+    });
+    data.version = 10;
+  }
+  // v10 → v11: the sample keeps its warp switch and original tempo
+  if (data.version === 10) {
+    if (data.sample && (!data.sample.warp || typeof data.sample.warp !== "object")) {
+      data.sample.warp = { enabled: false, tempo: data.settings && data.settings.bpm };
+    }
+    data.version = 11;
+  }
+  // v11 → v12: the BPM range is saved (older projects used the 40 – 200 default)
+  if (data.version === 11) {
+    const st = data.settings = data.settings || {};
+    if (typeof st.bpmRange !== "number") st.bpmRange = DEFAULT_BPM_RANGE;
+    data.version = 12;
+  }
+  // v12 → v13: the converter emulation is saved ("off" = clean)
+  if (data.version === 12) {
+    const st = data.settings = data.settings || {};
+    if (typeof st.converterModel !== "string") st.converterModel = "off";
+    data.version = 13;
+  }
+  // v13 → v14: delay / reverb send buses, with sends per drum track and per pad
+  if (data.version === 13) {
+    const st = data.settings = data.settings || {};
+    if (!st.fx || typeof st.fx !== "object") st.fx = createFxParams();
+    (data.patterns || []).forEach((pattern) => {
+      if (!pattern || !pattern.drumMix) return;
+      ["delay", "reverb"].forEach((send) => {
+        if (!Array.isArray(pattern.drumMix[send])) pattern.drumMix[send] = new Array(DRUM_TRACKS).fill(0);
+      });
+    });
+    ((data.sample && data.sample.regions) || []).forEach((region) => {
+      if (!region || !region.params) return;
+      if (typeof region.params.delay !== "number") region.params.delay = 0;
+      if (typeof region.params.reverb !== "number") region.params.reverb = 0;
+    });
+    data.version = 14;
+  }
+  // v14 → v15: hits keep their raw timing; quantize on / strength / window are saved
+  if (data.version === 14) {
+    const st = data.settings = data.settings || {};
+    if (typeof st.quantizeEnabled !== "boolean") st.quantizeEnabled = true;
+    if (typeof st.quantizeStrength !== "number") st.quantizeStrength = 100;
+    if (typeof st.quantizeWindow !== "number") st.quantizeWindow = 100;
+    data.version = 15;
+  }
+  // v15 → v16: the 16 / 32 switch (1 or 2 bars of 4/4) became a loop length and meter
+  if (data.version === 15) {
+    (data.patterns || []).forEach((pattern) => {
+      if (!pattern) return;
+      if (typeof pattern.loopBars !== "number") pattern.loopBars = pattern.sliceMode === 16 ? 1 : 2;
+      if (typeof pattern.timeSignature !== "string") pattern.timeSignature = TIME_SIGNATURES[0].label;
+      delete pattern.sliceMode;
+    });
+    data.version = 16;
+  }
+  // v16 → v17: the RESAMPLE second slot is saved with the project
+  if (data.version === 16) {
+    if (data.altSample === undefined) data.altSample = null;
+    data.version = 17;
+  }
+  return data;
+}
+
+// ---- Saved warp → { enabled, tempo } (a bad tempo falls back to the project tempo) ----
+function sanitizeSampleWarp(warp) {
+  return {
+    enabled: !!(warp && warp.enabled),
+    tempo: warp && typeof warp.tempo === "number"
+      ? Math.max(SAMPLE_TEMPO_MIN, Math.min(SAMPLE_TEMPO_MAX, warp.tempo)) : bpm,
+  };
+}
+
+// ---- Saved sample + its audio → a sample slot (see captureSampleSlot) ----
+function projectSampleSlot(saved, blob) {
+  if (!saved || !blob) return null;
+  return {
+    file: new File([blob], saved.name || "SAMPLE", { type: blob.type || saved.type || "" }),
+    bounds: Array.isArray(saved.regions) && saved.regions.length === NUM_PADS ? saved.regions : null,
+    warp: sanitizeSampleWarp(saved.warp),
+  };
+}
+
+// ---- Restore a snapshot; sampleBlob / altSampleBlob (optional) replace the two sample slots ----
+function applyProject(data, sampleBlob, altSampleBlob) {
+  const project = migrateProject(data);
+  const st = project.settings || {};
+
+  stopPlayback();
+  clearUndoHistory();
+
+  setBpmRange(st.bpmRange);
+  setBpm(st.bpm);
+  setSwingPosition(Math.max(0, SWING_VALUES.indexOf(st.swingPercent)));
+  setQuantizePosition(Math.max(0, QUANTIZE_VALUES.indexOf(st.quantizeRes)));
+  setQuantizeFeel(st.quantizeEnabled, st.quantizeStrength, st.quantizeWindow);
+  setDrumBank(restoreProjectDrumBank(st.drumBankName, st.drumBank));
+  setDrumTrackCount(st.drumTrackCount);
+  updatePitch(st.semitones || 0);
+  updateBump(typeof st.bumpAmount === "number" ? st.bumpAmount : 24);
+  setConverterModel(st.converterModel);
+  fxParams = sanitizeFxParams(st.fx);
+  updateSendFx();
+  refreshLcdPage("reverb");
+  setMetronome(!!st.metronomeEnabled);
+  sliceDetectMode = SLICE_DETECT_MODES.includes(st.sliceDetectMode) ? st.sliceDetectMode : "equal";
+  sliceSensitivity = Math.max(1, Math.min(10, st.sliceSensitivity || 5));
+
+  setFullLevel(!!st.fullLevel);
+
+  const savedPatterns = project.patterns || [];
+  patterns = Array.from({ length: PATTERN_SLOTS }, (_, p) => {
+    const saved = savedPatterns[p] || {};
+    const pattern = createPattern();
+    (saved.sequence || []).forEach((slot, i) => {
+      if (i >= TOTAL_STEPS || !Array.isArray(slot)) return;
+      slot.forEach((ev) => {
+        if (ev && ev.pad >= 0 && ev.pad < NUM_PADS && !pattern.sequence[i].some((e) => e.pad === ev.pad)) {
+          const event = { pad: ev.pad, vel: Math.max(1, Math.min(MAX_VELOCITY, ev.vel || MAX_VELOCITY)) };
+          if (typeof ev.offset === "number") event.offset = Math.max(-0.5, Math.min(0.5, ev.offset));
+          pattern.sequence[i].push(event);
+        }
+      });
+    });
+    const savedDrums = saved.drumPattern || [];
+    pattern.drumPattern.forEach((row, tr) => {
+      row.forEach((_, s) => {
+        const st = savedDrums[tr] && savedDrums[tr][s];
+        if (!st || typeof st !== "object") return;
+        const num = (v, lo, hi, def) => (typeof v === "number" ? Math.max(lo, Math.min(hi, Math.round(v))) : def);
+        row[s] = {
+          vel: num(st.vel, 1, ACCENT_VELOCITY, DRUM_STEP_VELOCITY),
+          prob: num(st.prob, 5, 100, 100),
+          ratchet: num(st.ratchet, 1, MAX_RATCHET, 1),
+          nudge: num(st.nudge, -MAX_NUDGE, MAX_NUDGE, 0),
+        };
+      });
+    });
+    const savedMix = saved.drumMix || {};
+    for (let tr = 0; tr < DRUM_TRACKS; tr++) {
+      const num = (key, lo, hi) => {
+        const v = savedMix[key] && savedMix[key][tr];
+        if (typeof v === "number") pattern.drumMix[key][tr] = Math.max(lo, Math.min(hi, v));
+      };
+      num("vol", 0, 100);
+      num("pitch", -12, 12);
+      num("pan", -50, 50);
+      num("delay", 0, 100);
+      num("reverb", 0, 100);
+      pattern.drumMix.mute[tr] = !!(savedMix.mute && savedMix.mute[tr]);
+      pattern.drumMix.solo[tr] = !!(savedMix.solo && savedMix.solo[tr]);
+    }
+    for (let tr = 0; tr < DRUM_TRACKS; tr++) {
+      const steps = saved.trackSteps && saved.trackSteps[tr];
+      if (steps >= 1 && steps <= MAX_TRACK_STEPS) pattern.trackSteps[tr] = Math.round(steps);
+      const rate = saved.trackRate && saved.trackRate[tr];
+      if (DRUM_RATES[rate]) pattern.trackRate[tr] = rate;
+      const slice = saved.trackSlice && saved.trackSlice[tr];
+      if (Number.isInteger(slice) && slice >= 0 && slice < NUM_PADS) pattern.trackSlice[tr] = slice;
+    }
+    if (LOOP_BAR_OPTIONS.includes(saved.loopBars)) pattern.loopBars = saved.loopBars;
+    pattern.timeSignature = Math.max(0, TIME_SIGNATURES.findIndex((ts) => ts.label === saved.timeSignature));
+    return pattern;
+  });
+  const song = project.song || {};
+  const chain = (Array.isArray(song.chain) ? song.chain : [])
+    .filter((entry) => entry && entry.pattern >= 0 && entry.pattern < PATTERN_SLOTS)
+    .slice(0, SONG_MAX_ENTRIES)
+    .map((entry) => ({
+      pattern: entry.pattern,
+      repeats: Math.max(1, Math.min(SONG_MAX_REPEATS, entry.repeats || 1)),
+    }));
+  songChain = chain.length ? chain : [{ pattern: 0, repeats: 1 }];
+  songMode = !!song.enabled;
+  songPosition = 0;
+  songLoopsPlayed = 0;
+
+  padChokeGroup = Array.from({ length: NUM_PADS }, (_, i) =>
+    Math.max(0, Math.min(CHOKE_GROUPS, (project.padChokeGroup && project.padChokeGroup[i]) || 0)));
+  refreshLcdPage("pad");
+
+  // Makes the saved pattern live (drum LEDs, mixer, loop length, event markers)
+  const current = project.currentPattern;
+  switchPattern(current >= 0 && current < PATTERN_SLOTS ? current : 0);
+
+  const slot = projectSampleSlot(project.sample, sampleBlob);
+  if (slot) loadSampleSlot(slot);
+  altSample = projectSampleSlot(project.altSample, altSampleBlob);
+  refreshLcdPage("resample");
+}
+
+// ---- IndexedDB slots ----
+function saveProjectTo(key) {
+  return projectDbPut(key, {
+    project: serializeProject(),
+    sample: sampleFile,
+    altSample: altSample ? altSample.file : null,
+  });
+}
+
+// Resolves to the stored record (or null when the slot is empty)
+function loadProjectFrom(key) {
+  return projectDbGet(key).then((record) => {
+    if (!record) return null;
+    applyProject(record.project, record.sample, record.altSample);
+    return record;
+  });
+}
+
+// ---- Single-file export / import (.hal60 = JSON with embedded audio) ----
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Base name for downloaded files: sample name without its extension
+function projectBaseName() {
+  if (!sampleFile || !sampleFile.name) return "hal60";
+  return sampleFile.name.replace(/\.[^.]+$/, "") || "hal60";
+}
+
+// Embeds a slot's audio in its saved entry (no-op for an empty slot)
+function embedSampleData(saved, file) {
+  if (!saved || !file) return Promise.resolve();
+  return blobToDataUrl(file).then((dataUrl) => {
+    saved.data = dataUrl;
+  });
+}
+
+// Takes the embedded audio back out of a saved entry (null when there is none)
+function extractSampleData(saved) {
+  const embedded = saved && saved.data;
+  if (!embedded) return Promise.resolve(null);
+  delete saved.data;
+  return fetch(embedded).then((response) => response.blob());
+}
+
+function exportProject() {
+  const project = serializeProject();
+  return Promise.all([
+    embedSampleData(project.sample, sampleFile),
+    embedSampleData(project.altSample, altSample && altSample.file),
+  ]).then(() => {
+    const blob = new Blob([JSON.stringify(project)], { type: "application/json" });
+    downloadBlob(blob, projectBaseName() + ".hal60");
+  });
+}
+
+function importProject(file) {
+  return file.text().then((text) => {
+    const data = JSON.parse(text);
+    return Promise.all([extractSampleData(data.sample), extractSampleData(data.altSample)])
+      .then(([blob, altBlob]) => applyProject(data, blob, altBlob));
+  });
+}
+
+// ---- PROJECT page on the LCD ----
+
+function describeProject(project) {
+  const name = project.sample ? project.sample.name : "NO SAMPLE";
+  const when = (project.savedAt || "").slice(0, 16).replace("T", " ");
+  return name + " " + when;
+}
+
+// Runs a project operation and reports its outcome on the PROJECT page
+function runProjectAction(label, action) {
+  projectMessage = label + "...";
+  refreshLcdPage("project");
+  action()
+    .then((result) => {
+      projectMessage = result || label + " OK";
+    })
+    .catch((err) => {
+      console.warn("Project " + label.toLowerCase() + " failed:", err);
+      projectMessage = label + " FAILED";
+    })
+    .then(() => refreshLcdPage("project"));
+}
+
+registerLcdPage("project", "PROJECT", (page) => {
+  const slotRow = lcdRow(page, "SLOT");
+  lcdStepper(slotRow, String(projectSlot),
+    () => { projectSlot = Math.max(1, projectSlot - 1); },
+    () => { projectSlot = Math.min(PROJECT_SLOTS, projectSlot + 1); });
+  const slotInfo = lcdText(slotRow, "...");
+  projectDbGet(projectSlotKey(projectSlot))
+    .then((record) => {
+      slotInfo.textContent = record ? describeProject(record.project) : "EMPTY";
+    })
+    .catch(() => {
+      slotInfo.textContent = "NO STORAGE";
+    });
+
+  const actions = lcdRow(page, "");
+  lcdButton(actions, "[ SAVE ]", () => {
+    const slot = projectSlot;
+    runProjectAction("SAVE", () => saveProjectTo(projectSlotKey(slot))
+      .then(() => "SAVED TO SLOT " + slot));
+  }, "Save the session to this slot");
+  lcdButton(actions, "[ LOAD ]", () => {
+    const slot = projectSlot;
+    runProjectAction("LOAD", () => loadProjectFrom(projectSlotKey(slot))
+      .then((record) => (record ? "LOADED SLOT " + slot : "SLOT " + slot + " IS EMPTY")));
+  }, "Load the project in this slot");
+  lcdButton(actions, "[ EXPORT ]", () => {
+    runProjectAction("EXPORT", () => exportProject().then(() => "EXPORTED"));
+  }, "Download the project as a .hal60 file");
+  lcdButton(actions, "[ IMPORT ]", () => projectInput.click(), "Open a .hal60 project file");
+
+  lcdText(lcdRow(page, "STATUS"), projectMessage || "READY");
+});
+
+projectInput.addEventListener("change", (e) => {
+  const file = e.target.files[0];
+  projectInput.value = "";
+  if (file) {
+    runProjectAction("IMPORT", () => importProject(file).then(() => "IMPORTED " + file.name.toUpperCase()));
+  }
+});
+
+// ---- Auto-save the session when the page is hidden or closed ----
+function saveSession() {
+  saveProjectTo(SESSION_KEY).catch((err) => {
+    console.warn("Session save failed:", err);
+  });
+}
+
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") saveSession();
+});
+window.addEventListener("pagehide", saveSession);
+
+// ============================================================
+// BOUNCE — Offline WAV Render of the Loop
+// Renders the pad sequence + TR pattern through an
+// OfflineAudioContext by running the live scheduleNote() /
+// nextNote() engine against offline copies of the output
+// buses, so swing, pitch and drum banks match playback.
+// The mix (with the delay / reverb returns) goes through the
+// converter emulation and the "bump" compressor; stems are the
+// dry sample bus and each drum track on their own.  Only the
+// current pattern is rendered: song mode and a queued pattern
+// are not followed, so every loop repeats the pattern on screen.
+// TAIL keeps what rings on after the last loop (pads, drum
+// decays, the delay repeats and the reverb): TRIM cuts it where
+// it falls silent, FULL keeps the whole render and OFF ends the
+// file on the loop, with the early hits of the next pass, so it
+// loops seamlessly.
+// ============================================================
+
+const BOUNCE_SAMPLE_RATE = 44100;
+const BOUNCE_MAX_LOOPS = 16;
+const BOUNCE_TAILS = ["off", "trim", "full"];
+const BOUNCE_VOICE_TAIL = 3;      // seconds, the longest drum voice decay
+const BOUNCE_MAX_TAIL = 20;       // seconds
+const BOUNCE_SILENCE = 0.001;     // -60 dB, where TRIM cuts the tail
+
+let bounceLoops = 1;
+let bounceBitDepth = 16;
+let bounceStems = false;
+let bounceTail = "trim";
+let bounceBusy = false;
+let bounceMessage = "";
+
+// ---- Encode an AudioBuffer as 16- or 24-bit PCM WAV ----
+function encodeWav(buffer, bitDepth) {
+  const channels = buffer.numberOfChannels;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = buffer.length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeAscii = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeAscii(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeAscii(8, "WAVE");
+  writeAscii(12, "fmt ");
+  view.setUint32(16, 16, true);                              // fmt chunk size
+  view.setUint16(20, 1, true);                               // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);  // byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeAscii(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const data = [];
+  for (let ch = 0; ch < channels; ch++) data.push(buffer.getChannelData(ch));
+
+  const maxPos = bitDepth === 24 ? 0x7fffff : 0x7fff;
+  let offset = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const v = Math.max(-1, Math.min(1, data[ch][i]));
+      const int = Math.round(v < 0 ? v * (maxPos + 1) : v * maxPos);
+      if (bitDepth === 24) {
+        view.setUint8(offset, int & 0xff);
+        view.setUint8(offset + 1, (int >> 8) & 0xff);
+        view.setUint8(offset + 2, (int >> 16) & 0xff);
+      } else {
+        view.setInt16(offset, int, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: "audio/wav" });
+}
+
+// ---- Run the sequencer engine against offline output buses ----
+// The live audio globals are swapped for the offline ones while the
+// whole render is scheduled synchronously, then restored, so the
+// real-time scheduler never sees the offline context.  With a tail
+// nothing follows the last loop, so it schedules no early hits.
+function scheduleBounce(ctx, sampleBus, drumBuses, fx, loops, withTail) {
+  const live = {
+    audioCtx, masterGainNode, drumGainNodes, fxBuses, noiseBuffer,
+    activeVoices, openHatVoices,
+    currentStep, nextNoteTime, loopStartTime, drumTickCount, leadInScheduled,
+  };
+
+  audioCtx = ctx;
+  masterGainNode = sampleBus;
+  drumGainNodes = drumBuses;
+  fxBuses = fx;
+  noiseBuffer = null;
+  activeVoices = [];
+  openHatVoices = [];
+  currentStep = 0;
+  nextNoteTime = 0;
+  loopStartTime = 0;
+  drumTickCount = 0;
+  leadInScheduled = false;
+  isBouncing = true;
+
+  try {
+    let loopsDone = 0;
+    while (loopsDone < loops) {
+      bounceFinalLoop = withTail && loopsDone === loops - 1;
+      scheduleNote(currentStep, nextNoteTime);
+      nextNote();
+      if (currentStep === 0) loopsDone++;
+    }
+  } finally {
+    audioCtx = live.audioCtx;
+    masterGainNode = live.masterGainNode;
+    drumGainNodes = live.drumGainNodes;
+    fxBuses = live.fxBuses;
+    noiseBuffer = live.noiseBuffer;
+    activeVoices = live.activeVoices;
+    openHatVoices = live.openHatVoices;
+    currentStep = live.currentStep;
+    nextNoteTime = live.nextNoteTime;
+    loopStartTime = live.loopStartTime;
+    drumTickCount = live.drumTickCount;
+    leadInScheduled = live.leadInScheduled;
+    isBouncing = false;
+    bounceFinalLoop = false;
+  }
+}
+
+// ---- Seconds for what still rings after the last loop to die away ----
+// The longest of a drum decay, a whole pad at its pitch and tempo, the
+// reverb and the delay repeats down to -60 dB, capped at BOUNCE_MAX_TAIL
+function getBounceTail() {
+  const stretch = warpEnabled ? sampleTempo / bpm : 1;
+  let tail = Math.max(BOUNCE_VOICE_TAIL, fxParams.reverbSize);
+  regions.forEach((r, i) => {
+    tail = Math.max(tail, ((r.end - r.start) * stretch) / getPadPlaybackRate(i));
+  });
+  const feedback = fxParams.delayFeedback / 100;
+  const repeats = feedback > 0 ? Math.log(BOUNCE_SILENCE) / Math.log(feedback) : 1;
+  tail = Math.max(tail, getDelayTime() * (1 + repeats));
+  return Math.min(BOUNCE_MAX_TAIL, tail);
+}
+
+// ---- Cut a rendered tail where it falls silent (never inside the loops) ----
+function trimBounceTail(buffer, minLength) {
+  let end = minLength;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = data.length - 1; i >= end; i--) {
+      if (Math.abs(data[i]) >= BOUNCE_SILENCE) {
+        end = i + 1;
+        break;
+      }
+    }
+  }
+  if (end >= buffer.length) return buffer;
+  const trimmed = new AudioBuffer({
+    numberOfChannels: buffer.numberOfChannels,
+    length: end,
+    sampleRate: buffer.sampleRate,
+  });
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    trimmed.copyToChannel(buffer.getChannelData(ch).subarray(0, end), ch);
+  }
+  return trimmed;
+}
+
+// ---- Render one pass ----
+// @param {number} loops            – loop repetitions to render
+// @param {string|number} target    – "mix", "sample", or a drum track index
+// @param {number} [tail]           – seconds rendered after the last loop
+// @returns {Promise<AudioBuffer>}
+function renderBounce(loops, target, tail = 0) {
+  const length = Math.ceil((getLoopDuration() * loops + tail) * BOUNCE_SAMPLE_RATE);
+  const ctx = new OfflineAudioContext(2, length, BOUNCE_SAMPLE_RATE);
+
+  const sampleBus = ctx.createGain();
+  // Drum channels as on the live mixer; a track stem ignores mute / solo
+  const drumBuses = [];
+  const drumOuts = [];
+  for (let i = 0; i < DRUM_TRACKS; i++) {
+    drumBuses[i] = ctx.createGain();
+    drumBuses[i].gain.value = target === i ? drumMix.vol[i] / 100 : drumTrackGain(i);
+    drumOuts[i] = ctx.createStereoPanner();
+    drumOuts[i].pan.value = drumMix.pan[i] / 50;
+    drumBuses[i].connect(drumOuts[i]);
+  }
+
+  // The mix waits for the converter worklet (if one is selected)
+  let ready = Promise.resolve();
+  // Send buses only return into the mix; stems stay dry
+  const master = ctx.createGain();
+  const fx = createFxBuses(ctx, target === "mix" ? master : null);
+  drumOuts.forEach((out, i) => {
+    const delaySend = ctx.createGain();
+    delaySend.gain.value = drumMix.delay[i] / 100;
+    out.connect(delaySend).connect(fx.delayIn);
+    const reverbSend = ctx.createGain();
+    reverbSend.gain.value = drumMix.reverb[i] / 100;
+    out.connect(reverbSend).connect(fx.reverbIn);
+  });
+
+  if (target === "mix") {
+    const comp = createBumpCompressor(ctx);
+    sampleBus.connect(master);
+    drumOuts.forEach((out) => out.connect(master));
+    comp.connect(ctx.destination);
+    ready = connectConverter(ctx, master, comp);
+  } else if (target === "sample") {
+    sampleBus.connect(ctx.destination);
+  } else {
+    drumOuts[target].connect(ctx.destination);
+  }
+
+  return ready.then(() => {
+    scheduleBounce(ctx, sampleBus, drumBuses, fx, loops, tail > 0);
+    return ctx.startRendering();
+  });
+}
+
+// ---- Render the mix (and stems) one pass at a time and download ----
+function bounceToWav() {
+  const base = projectBaseName();
+  const passes = [{ target: "mix", name: base + "-bounce.wav" }];
+  if (bounceStems) {
+    passes.push({ target: "sample", name: base + "-smp.wav" });
+    for (let tr = 0; tr < drumTrackCount; tr++) {
+      passes.push({ target: tr, name: base + "-" + TRACK_NAMES[tr].toLowerCase() + ".wav" });
+    }
+  }
+
+  const loops = bounceLoops;
+  const bitDepth = bounceBitDepth;
+  const mode = bounceTail;
+  const tail = mode === "off" ? 0 : getBounceTail();
+  const loopLength = Math.ceil(getLoopDuration() * loops * BOUNCE_SAMPLE_RATE);
+  let chain = Promise.resolve();
+  passes.forEach((pass, i) => {
+    chain = chain.then(() => {
+      bounceMessage = "RENDERING " + (i + 1) + "/" + passes.length;
+      refreshLcdPage("bounce");
+      return renderBounce(loops, pass.target, tail);
+    }).then((buffer) => {
+      const out = mode === "trim" ? trimBounceTail(buffer, loopLength) : buffer;
+      downloadBlob(encodeWav(out, bitDepth), pass.name);
+    });
+  });
+  return chain;
+}
+
+registerLcdPage("bounce", "BOUNCE", (page) => {
+  lcdText(lcdRow(page, "PATTERN"), patternLabel(currentPattern) + " ONLY" + (songMode ? " (NOT THE SONG)" : ""));
+  lcdStepper(lcdRow(page, "LOOPS"), String(bounceLoops),
+    () => { bounceLoops = Math.max(1, bounceLoops - 1); },
+    () => { bounceLoops = Math.min(BOUNCE_MAX_LOOPS, bounceLoops + 1); });
+  lcdStepper(lcdRow(page, "BITS"), bounceBitDepth + "-BIT",
+    () => { bounceBitDepth = 16; },
+    () => { bounceBitDepth = 24; });
+  lcdStepper(lcdRow(page, "STEMS"), bounceStems ? "ON" : "OFF",
+    () => { bounceStems = false; },
+    () => { bounceStems = true; });
+  const tailIdx = BOUNCE_TAILS.indexOf(bounceTail);
+  lcdStepper(lcdRow(page, "TAIL"), bounceTail.toUpperCase(),
+    () => { bounceTail = BOUNCE_TAILS[Math.max(0, tailIdx - 1)]; },
+    () => { bounceTail = BOUNCE_TAILS[Math.min(BOUNCE_TAILS.length - 1, tailIdx + 1)]; });
+
+  const actions = lcdRow(page, "");
+  lcdButton(actions, "[ RENDER ]", () => {
+    if (bounceBusy) return;
+    bounceBusy = true;
+    bounceToWav()
+      .then(() => {
+        bounceMessage = "DONE";
+      })
+      .catch((err) => {
+        console.warn("Bounce failed:", err);
+        bounceMessage = "RENDER FAILED";
+      })
+      .then(() => {
+        bounceBusy = false;
+        refreshLcdPage("bounce");
+      });
+  }, "Render the loop to a WAV file");
+
+  lcdText(lcdRow(page, "STATUS"), bounceMessage || "READY");
+});
+
+// ============================================================
+// RESAMPLE — Record the Mix Back Into the Sampler
+// Renders loops of the master bus after the converter and the
+// "bump" compressor (the same pass as the BOUNCE mix) and loads
+// the result as the new sample, which is then sliced like a
+// loaded file with default pad parameters (the render already
+// has the old ones in it).  The sample it replaces moves to a
+// second slot with its slice points and pad parameters; SWAP
+// trades the two, so a flip can be compared with (or reverted
+// to) its source.  Each slot keeps its own warp setting and
+// sample tempo, and the second slot is saved with the project.
+// ============================================================
+
+const RESAMPLE_MAX_LOOPS = 8;
+const RESAMPLE_BIT_DEPTH = 24;
+
+let resampleLoops = 1;
+let resampleBusy = false;
+let resampleMessage = "";
+let altSample = null;   // Second sample slot: { file, bounds, warp } or null
+
+// ---- The loaded sample with its slice points, pad parameters and warp ----
+function captureSampleSlot() {
+  if (!sampleFile) return null;
+  return {
+    file: sampleFile,
+    bounds: regions.map((r) => ({ start: r.start, end: r.end, params: Object.assign({}, r.params) })),
+    warp: { enabled: warpEnabled, tempo: sampleTempo },
+  };
+}
+
+// ---- Load a slot as the sample (bounds: null = slice it afresh) ----
+function loadSampleSlot(slot) {
+  pendingSliceBounds = slot.bounds;
+  loadFile(slot.file);
+  // Applied when the sample decodes (see updateWarp)
+  warpEnabled = slot.warp.enabled;
+  sampleTempo = slot.warp.tempo;
+}
+
+// ---- Render `loops` loops of the mix and load them as the sample ----
+function resample(loops) {
+  return renderBounce(loops, "mix").then((buffer) => {
+    // Resampling a resample keeps a single suffix
+    const name = projectBaseName().replace(/-resample$/, "") + "-resample.wav";
+    const file = new File([encodeWav(buffer, RESAMPLE_BIT_DEPTH)], name, { type: "audio/wav" });
+    altSample = captureSampleSlot();
+    loadFile(file);
+  });
+}
+
+function swapSampleSlot() {
+  if (!altSample) return;
+  const other = altSample;
+  altSample = captureSampleSlot();
+  loadSampleSlot(other);
+}
+
+registerLcdPage("resample", "RESAMPLE", (page) => {
+  lcdStepper(lcdRow(page, "LOOPS"), String(resampleLoops),
+    () => { resampleLoops = Math.max(1, resampleLoops - 1); },
+    () => { resampleLoops = Math.min(RESAMPLE_MAX_LOOPS, resampleLoops + 1); });
+
+  const actions = lcdRow(page, "");
+  lcdButton(actions, "[ RESAMPLE ]", () => {
+    if (resampleBusy) return;
+    resampleBusy = true;
+    resampleMessage = "RENDERING";
+    renderLcdPage();
+    resample(resampleLoops)
+      .then(() => {
+        resampleMessage = "LOADED";
+      })
+      .catch((err) => {
+        console.warn("Resample failed:", err);
+        resampleMessage = "RESAMPLE FAILED";
+      })
+      .then(() => {
+        resampleBusy = false;
+        refreshLcdPage("resample");
+      });
+  }, "Render the loop and load it as the new sample");
+  if (altSample) {
+    lcdButton(actions, "[ SWAP ]", () => {
+      swapSampleSlot();
+      resampleMessage = "SWAPPED";
+      renderLcdPage();
+    }, "Swap with the sample in the second slot");
+  }
+
+  lcdText(lcdRow(page, "SLOT 2"), altSample ? altSample.file.name.toUpperCase() : "EMPTY");
+  lcdText(lcdRow(page, "STATUS"), resampleMessage || "READY");
+});
+
+// ============================================================
+// LIVE INPUT SAMPLING
+// Records a take from an audio input (getUserMedia) straight
+// into the sampler.  The input runs through a capture worklet
+// (input-worklet.js) whose blocks drive the LEVEL meter; ARM
+// waits until the input crosses the threshold (OFF = start at
+// once), keeps an optional pre-roll from just before the hit,
+// and records exactly N bars at the current tempo and meter.
+// The take is then loaded like a file: Wavesurfer + autoSlice.
+// connectInput() takes the MediaStream as its parameter, so any
+// stream can stand in for the device openInput() asks for.  A
+// stream passed in stays the caller's: only the device stream
+// openInput() opened is stopped on close.
+// ============================================================
+
+const INPUT_WORKLET_URL = "input-worklet.js";
+const INPUT_THRESHOLDS_DB = [null, -48, -42, -36, -30, -24, -18, -12, -6];  // null = OFF
+const INPUT_PRE_ROLLS_MS = [0, 10, 25, 50, 100, 250];
+const INPUT_METER_CELLS = 20;     // LEVEL meter width, -60 dB … 0 dB
+const INPUT_METER_FLOOR_DB = -60;
+const INPUT_METER_MS = 60;        // Meter refresh interval
+const INPUT_BIT_DEPTH = 24;
+
+let inputStream = null;           // MediaStream of the open input
+let inputDeviceStream = null;     // inputStream when openInput() asked for it (its tracks are ours to stop)
+let inputSource = null;
+let inputNode = null;             // hal60-input capture worklet
+let inputState = "off";           // "off" | "monitor" | "armed" | "recording"
+let inputThreshold = 4;           // Index into INPUT_THRESHOLDS_DB (-30 dB)
+let inputPreRoll = 0;             // Index into INPUT_PRE_ROLLS_MS
+let inputBars = 2;                // Take length in bars (LOOP_BAR_OPTIONS)
+let inputHistory = [];            // Blocks kept while armed, for the pre-roll
+let inputTake = null;             // { channels, chunks, length, target } while recording
+let inputTakeCount = 0;
+let inputPeakHold = 0;            // Loudest sample since the last meter refresh
+let inputMeterTime = 0;
+let inputMessage = "";
+let inputMeterEl = null;          // Live elements of the SAMPLE page
+let inputStatusEl = null;
+
+// ---- Ask for the audio input (raw: no echo cancel / noise gate / AGC) ----
+function openInput() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    inputMessage = "AUDIO INPUT NOT SUPPORTED";
+    return Promise.resolve(null);
+  }
+  const constraints = { audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } };
+  let granted = null;
+  return navigator.mediaDevices.getUserMedia(constraints)
+    .then((stream) => {
+      granted = stream;
+      return connectInput(stream).then(() => {
+        inputDeviceStream = stream;
+      });
+    })
+    .catch((err) => {
+      console.warn("Audio input unavailable:", err);
+      inputMessage = "NO INPUT ACCESS";
+      // Access was granted but the input could not be wired up: release the device
+      if (granted && granted !== inputStream) granted.getTracks().forEach((track) => track.stop());
+    })
+    .then(() => refreshLcdPage("sample"));
+}
+
+// ---- Meter and record a MediaStream (a device or any other stream) ----
+function connectInput(stream) {
+  ensureAudioContext();
+  if (!audioCtx.audioWorklet) return Promise.reject(new Error("AudioWorklet not supported"));
+  return audioCtx.audioWorklet.addModule(INPUT_WORKLET_URL).then(() => {
+    closeInput();
+    inputStream = stream;
+    inputSource = audioCtx.createMediaStreamSource(stream);
+    inputNode = new AudioWorkletNode(audioCtx, "hal60-input", { numberOfOutputs: 0 });
+    inputNode.port.onmessage = (e) => handleInputBlock(e.data);
+    inputSource.connect(inputNode);
+    inputState = "monitor";
+    inputMessage = "";
+    refreshLcdPage("sample");
+  });
+}
+
+function closeInput() {
+  if (inputSource) inputSource.disconnect();
+  if (inputNode) {
+    inputNode.port.onmessage = null;
+    inputNode.disconnect();
+  }
+  if (inputDeviceStream) inputDeviceStream.getTracks().forEach((track) => track.stop());
+  inputDeviceStream = null;
+  inputStream = null;
+  inputSource = null;
+  inputNode = null;
+  inputState = "off";
+  inputHistory = [];
+  inputTake = null;
+  inputPeakHold = 0;
+}
+
+function getInputTakeSeconds() {
+  return (inputBars * getStepsPerBar() * 60.0) / bpm / THIRTYSECONDS_PER_BEAT;
+}
+
+// ---- Linear threshold (0 = OFF: the first sample after ARM starts the take) ----
+function getInputThresholdLevel() {
+  const db = INPUT_THRESHOLDS_DB[inputThreshold];
+  return db === null ? 0 : Math.pow(10, db / 20);
+}
+
+function armInput() {
+  if (inputState !== "monitor") return;
+  inputHistory = [];
+  inputMessage = "";
+  inputState = "armed";
+  refreshLcdPage("sample");
+}
+
+function cancelTake() {
+  if (inputState !== "armed" && inputState !== "recording") return;
+  inputHistory = [];
+  inputTake = null;
+  inputState = "monitor";
+}
+
+// ---- One block of input from the worklet: [Float32Array per channel] ----
+function handleInputBlock(channels) {
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) inputPeakHold = Math.max(inputPeakHold, Math.abs(data[i]));
+  }
+  const now = performance.now();
+  if (now - inputMeterTime >= INPUT_METER_MS) {
+    inputMeterTime = now;
+    updateInputDisplay();
+    inputPeakHold = 0;
+  }
+
+  if (inputState === "armed") {
+    const hit = findInputCrossing(channels, getInputThresholdLevel());
+    if (hit !== -1) {
+      startTake(channels, hit);
+    } else {
+      // Keep just enough history to cover the pre-roll
+      inputHistory.push(channels);
+      const preRoll = getInputPreRollSamples();
+      let kept = inputHistory.reduce((sum, block) => sum + block[0].length, 0);
+      while (inputHistory.length > 0 && kept - inputHistory[0][0].length >= preRoll) {
+        kept -= inputHistory.shift()[0].length;
+      }
+    }
+  } else if (inputState === "recording") {
+    appendToTake(channels);
+  }
+}
+
+// ---- First frame where any channel reaches `level` (-1 = none) ----
+function findInputCrossing(channels, level) {
+  for (let i = 0; i < channels[0].length; i++) {
+    if (channels.some((data) => Math.abs(data[i]) >= level)) return i;
+  }
+  return -1;
+}
+
+function getInputPreRollSamples() {
+  return Math.round((INPUT_PRE_ROLLS_MS[inputPreRoll] / 1000) * audioCtx.sampleRate);
+}
+
+// ---- Threshold crossed at frame `hit` of `channels`: pre-roll + the rest of the block ----
+function startTake(channels, hit) {
+  const channelCount = Math.min(2, channels.length);
+  inputTake = {
+    channels: channelCount,
+    chunks: [],
+    length: 0,
+    target: Math.round(getInputTakeSeconds() * audioCtx.sampleRate),
+  };
+
+  // The pre-roll is the tail of what came in before the crossing
+  const before = inputHistory.concat([channels.map((data) => data.subarray(0, hit))]);
+  const available = before.reduce((sum, block) => sum + block[0].length, 0);
+  const preRoll = Math.min(available, getInputPreRollSamples());
+  if (preRoll > 0) {
+    const preRollChannels = [];
+    for (let ch = 0; ch < channelCount; ch++) {
+      const joined = new Float32Array(available);
+      let offset = 0;
+      before.forEach((block) => {
+        joined.set(block[ch] || block[0], offset);
+        offset += block[0].length;
+      });
+      preRollChannels.push(joined.subarray(available - preRoll));
+    }
+    appendToTake(preRollChannels);
+  }
+
+  inputHistory = [];
+  inputState = "recording";
+  refreshLcdPage("sample");
+  appendToTake(channels.map((data) => data.subarray(hit)));
+}
+
+function appendToTake(channels) {
+  const take = inputTake;
+  const frames = Math.min(channels[0].length, take.target - take.length);
+  if (frames > 0) {
+    const chunk = [];
+    for (let ch = 0; ch < take.channels; ch++) chunk.push((channels[ch] || channels[0]).slice(0, frames));
+    take.chunks.push(chunk);
+    take.length += frames;
+  }
+  if (take.length >= take.target) finishTake();
+}
+
+// ---- N bars recorded: load the take as the new sample ----
+function finishTake() {
+  const take = inputTake;
+  inputTake = null;
+  inputState = "monitor";
+
+  const buffer = new AudioBuffer({
+    numberOfChannels: take.channels,
+    length: take.length,
+    sampleRate: audioCtx.sampleRate,
+  });
+  let offset = 0;
+  take.chunks.forEach((chunk) => {
+    chunk.forEach((data, ch) => buffer.copyToChannel(data, ch, offset));
+    offset += chunk[0].length;
+  });
+
+  inputTakeCount++;
+  const name = "take-" + String(inputTakeCount).padStart(2, "0") + ".wav";
+  loadFile(new File([encodeWav(buffer, INPUT_BIT_DEPTH)], name, { type: "audio/wav" }));
+  inputMessage = "LOADED " + name.toUpperCase();
+  refreshLcdPage("sample");
+}
+
+// ---- "||||||||............ -24 DB" ----
+function formatInputMeter(peak) {
+  const db = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+  const cells = Math.max(0, Math.min(INPUT_METER_CELLS,
+    Math.round(((db - INPUT_METER_FLOOR_DB) / -INPUT_METER_FLOOR_DB) * INPUT_METER_CELLS)));
+  const level = db > INPUT_METER_FLOOR_DB ? Math.round(db) + " DB" : "-INF";
+  return "|".repeat(cells) + ".".repeat(INPUT_METER_CELLS - cells) + " " + level;
+}
+
+function inputStatusText() {
+  const rate = audioCtx ? audioCtx.sampleRate : 1;
+  switch (inputState) {
+    case "armed": {
+      const db = INPUT_THRESHOLDS_DB[inputThreshold];
+      return db === null ? "ARMED" : "ARMED, WAITING FOR " + db + " DB";
+    }
+    case "recording":
+      return "RECORDING " + (inputTake.length / rate).toFixed(1) + " / " + (inputTake.target / rate).toFixed(1) + " S";
+    case "monitor":
+      return inputMessage || "MONITORING";
+    default:
+      return inputMessage || "INPUT OFF";
+  }
+}
+
+// ---- Live meter / status without rebuilding the page ----
+function updateInputDisplay() {
+  if (!isLcdPageOpen("sample")) return;
+  inputMeterEl.textContent = formatInputMeter(inputPeakHold);
+  inputStatusEl.textContent = inputStatusText();
+}
+
+registerLcdPage("sample", "SAMPLE", (page) => {
+  lcdStepper(lcdRow(page, "INPUT"), inputState === "off" ? "OFF" : "ON",
+    () => closeInput(),
+    () => { if (inputState === "off") openInput(); });
+  inputMeterEl = lcdText(lcdRow(page, "LEVEL"), formatInputMeter(0));
+
+  const db = INPUT_THRESHOLDS_DB[inputThreshold];
+  lcdStepper(lcdRow(page, "THRESHOLD"), db === null ? "OFF" : db + " DB",
+    () => { inputThreshold = Math.max(0, inputThreshold - 1); },
+    () => { inputThreshold = Math.min(INPUT_THRESHOLDS_DB.length - 1, inputThreshold + 1); });
+  const preRollMs = INPUT_PRE_ROLLS_MS[inputPreRoll];
+  lcdStepper(lcdRow(page, "PRE-ROLL"), preRollMs ? preRollMs + " MS" : "OFF",
+    () => { inputPreRoll = Math.max(0, inputPreRoll - 1); },
+    () => { inputPreRoll = Math.min(INPUT_PRE_ROLLS_MS.length - 1, inputPreRoll + 1); });
+  const barIdx = LOOP_BAR_OPTIONS.indexOf(inputBars);
+  lcdStepper(lcdRow(page, "LENGTH"), inputBars + (inputBars === 1 ? " BAR " : " BARS ") + getInputTakeSeconds().toFixed(2) + " S",
+    () => { inputBars = LOOP_BAR_OPTIONS[Math.max(0, barIdx - 1)]; },
+    () => { inputBars = LOOP_BAR_OPTIONS[Math.min(LOOP_BAR_OPTIONS.length - 1, barIdx + 1)]; });
+
+  const actions = lcdRow(page, "");
+  if (inputState === "armed" || inputState === "recording") {
+    lcdButton(actions, "[ CANCEL ]", () => {
+      cancelTake();
+      renderLcdPage();
+    }, "Drop the take");
+  } else if (inputState === "monitor") {
+    lcdButton(actions, "[ ARM ]", () => armInput(), "Record once the input crosses the threshold");
+  }
+
+  inputStatusEl = lcdText(lcdRow(page, "STATUS"), inputStatusText());
+});
+
 // ============================================================
 // FACTORY DEMO LOAD
 // Automatically loads a demo sample on startup to ensure the 
 // HAL-60 is ready to play immediately after the boot sequence.
+// A previously auto-saved session takes precedence; the demo
+// is only fetched when there is no stored sample to restore.
 // ============================================================
 
+function loadFactoryDemo() {
+  const demoPath = 'samples/demo.wav';
+
+  // Update LCD text to show loading status
+  fileNameEl.textContent = "LOADING FACTORY DEMO...";
+
+  // Load the file from the samples folder
+  fetch(demoPath)
+    .then(response => {
+      if (!response.ok) throw new Error('Demo file not found');
+      return response.blob();
+    })
+    .then(blob => {
+      const file = new File([blob], "demo.wav", { type: "audio/wav" });
+      loadFile(file);
+    })
+    .catch(err => {
+      console.warn("Factory demo load skipped:", err.message);
+      fileNameEl.textContent = "NO FILE LOADED";
+    });
+}
+
 window.addEventListener('DOMContentLoaded', () => {
   // Wait for Wavesurfer to be ready
   if (wavesurfer) {
-    const demoPath = 'samples/demo.wav';
-
-    // Update LCD text to show loading status
-    fileNameEl.textContent = "LOADING FACTORY DEMO...";
-
-    // Load the file from the samples folder
-    fetch(demoPath)
-      .then(response => {
-        if (!response.ok) throw new Error('Demo file not found');
-        return response.blob();
-      })
-      .then(blob => {
-        const file = new File([blob], "demo.wav", { type: "audio/wav" });
-        loadFile(file);
-      })
+    loadProjectFrom(SESSION_KEY)
       .catch(err => {
-        console.warn("Factory demo load skipped:", err.message);
-        fileNameEl.textContent = "NO FILE LOADED";
+        console.warn("Session restore skipped:", err.message);
+        return null;
+      })
+      .then(record => {
+        if (!record || !record.sample) loadFactoryDemo();
       });
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,114 @@
+// ============================================================
+// HAL-60 Converter Emulation – AudioWorklet processor
+// Loaded by app.js (see CONVERTER EMULATION) and inserted
+// between the master gain and the "bump" compressor.
+// Runs a vintage sampler's converters at the context rate:
+//   anti-alias filter → sample & hold at the model's rate →
+//   n-bit quantize → zero-order-hold output → anti-image filter.
+// A model without one of the filters leaves that stage out, so
+// its aliasing / imaging comes through as on the hardware.
+// Model (from app.js): { rate, bits, antiAlias, antiImage } in Hz;
+// no rate = bypass.
+// ============================================================
+
+// 4-pole Butterworth low-pass = two biquads with these Qs
+const BUTTERWORTH_Q = [0.5412, 1.3066];
+
+// ---- RBJ low-pass biquad coefficients; no cutoff (or above Nyquist) = no filter ----
+function lowpassSections(cutoff, rate) {
+  if (!cutoff || cutoff >= rate / 2) return [];
+  const w = (2 * Math.PI * cutoff) / rate;
+  const cos = Math.cos(w);
+  return BUTTERWORTH_Q.map((q) => {
+    const alpha = Math.sin(w) / (2 * q);
+    const a0 = 1 + alpha;
+    return {
+      b0: (1 - cos) / 2 / a0,
+      b1: (1 - cos) / a0,
+      b2: (1 - cos) / 2 / a0,
+      a1: (-2 * cos) / a0,
+      a2: (1 - alpha) / a0,
+    };
+  });
+}
+
+// ---- One sample through a chain of biquads (states: one per section) ----
+function runSections(sections, states, x) {
+  for (let i = 0; i < sections.length; i++) {
+    const c = sections[i];
+    const s = states[i];
+    const y = c.b0 * x + c.b1 * s.x1 + c.b2 * s.x2 - c.a1 * s.y1 - c.a2 * s.y2;
+    s.x2 = s.x1;
+    s.x1 = x;
+    s.y2 = s.y1;
+    s.y1 = y;
+    x = y;
+  }
+  return x;
+}
+
+class ConverterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.configure((options.processorOptions || {}).model);
+    // A new model arrives from the CONVERTER page
+    this.port.onmessage = (e) => this.configure(e.data);
+  }
+
+  configure(model) {
+    this.model = model && model.rate ? model : null;
+    this.channels = [];
+    if (!this.model) return;
+    this.antiAlias = lowpassSections(model.antiAlias, sampleRate);
+    this.antiImage = lowpassSections(model.antiImage, sampleRate);
+    this.step = Math.min(1, model.rate / sampleRate);
+    this.levels = Math.pow(2, model.bits - 1);
+  }
+
+  // ---- Per-channel converter state, created on first use ----
+  channelState(ch) {
+    if (!this.channels[ch]) {
+      const filterStates = (sections) => sections.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+      this.channels[ch] = {
+        phase: 1,   // ≥ 1 = take a new sample now
+        held: 0,
+        antiAlias: filterStates(this.antiAlias),
+        antiImage: filterStates(this.antiImage),
+      };
+    }
+    return this.channels[ch];
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    for (let ch = 0; ch < output.length; ch++) {
+      const src = input[ch] || input[0];
+      const dst = output[ch];
+      if (!src) {
+        dst.fill(0);
+        continue;
+      }
+      if (!this.model) {
+        dst.set(src);
+        continue;
+      }
+
+      const st = this.channelState(ch);
+      for (let i = 0; i < dst.length; i++) {
+        const x = runSections(this.antiAlias, st.antiAlias, src[i]);
+        st.phase += this.step;
+        if (st.phase >= 1) {
+          st.phase -= 1;
+          // Two's-complement range: -levels … levels - 1
+          const code = Math.round(Math.max(-1, Math.min(1, x)) * this.levels);
+          st.held = Math.min(this.levels - 1, code) / this.levels;
+        }
+        dst[i] = runSections(this.antiImage, st.antiImage, st.held);
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("hal60-converter", ConverterProcessor);
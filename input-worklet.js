@@ -0,0 +1,21 @@
+// ============================================================
+// HAL-60 Input Capture – AudioWorklet processor
+// Loaded by app.js (see LIVE INPUT SAMPLING) and fed by the
+// audio input.  Passes every render quantum of the input to the
+// main thread, which meters it, waits for the threshold and
+// collects the take.  Has no outputs: nothing is monitored.
+// ============================================================
+
+class InputCaptureProcessor extends AudioWorkletProcessor {
+  process(inputs) {
+    const input = inputs[0];
+    if (input && input.length > 0) {
+      // Copies: the engine reuses its input buffers for the next quantum
+      const channels = input.map((data) => data.slice());
+      this.port.postMessage(channels, channels.map((data) => data.buffer));
+    }
+    return true;
+  }
+}
+
+registerProcessor("hal60-input", InputCaptureProcessor);